@@ -14,6 +14,13 @@
  *
  * The respRegex property is a regex string with named groups which are then checked against
  * when a command response is received.
+ *
+ * The optional shape property tells the framer how many lines make up the response, see framer.js.
+ * It defaults to line, a single line matching respRegex. For the lines and values shapes, the count property names
+ * the argument that gives the number of lines.
+ *
+ * Every command is sent with the $q prefix, which forces quiet mode (no echo of the command) for that command
+ * whatever echo mode the unit is in.
  */
 const commands = {
     controlSet: {
@@ -40,6 +47,13 @@ const commands = {
         },
         respRegex: /\d{1,5} (?<ret>\d{1,5})/,
     },
+    controlGetLegacy: {
+        base: 'GS {CID}', // the value alone
+        args: {
+            id: 'CID',
+        },
+        respRegex: /^(?<ret>\d{1,5})\r/,
+    },
     controlGetBlock: {
         base: 'GSB3 {CID} {SIZE}', // better formatted return than GSB {CID} {SIZE}
         args: {
@@ -47,6 +61,27 @@ const commands = {
             size: 'SIZE',
         },
         respRegex: /GSB3 \d{5} \d{5}/,
+        shape: 'block',
+    },
+    controlGetBlockLegacy: {
+        base: 'GSB {CID} {SIZE}', // one value per line, in control ID order
+        args: {
+            id: 'CID',
+            size: 'SIZE',
+        },
+        respRegex: /^(?<ret>\d{1,5})\r/,
+        shape: 'lines',
+        count: 'size',
+    },
+    controlGetBlockWithIds: {
+        base: 'GSB2 {CID} {SIZE}', // each value after its control ID, as GS2 answers, one control per line
+        args: {
+            id: 'CID',
+            size: 'SIZE',
+        },
+        respRegex: /^\d{1,5} (?<ret>\d{1,5})\r/,
+        shape: 'values',
+        count: 'size',
     },
     getPreset: {
         base: 'GPR',
@@ -95,7 +130,8 @@ const commands = {
             low: 'LOW',
             high: 'HIGH',
         },
-        respRegex: /(?<ack>ACK)|(?<ret>\d{5})]/,
+        respRegex: /^(?<ret>(?:\d{5}\r)*)ACK\r/, // every push enabled control ID then ACK
+        shape: 'list',
     },
     pushRefresh: {
         base: 'PUR {LOW} {HIGH}',
@@ -133,15 +169,58 @@ const commands = {
         args: {},
         respRegex: /(?<ack>.*)/,
     },
+    noOp: {
+        base: 'NOP', // does nothing but answer, e.g. to check the link
+        args: {},
+        respRegex: /(?<ack>ACK)|(?<nak>NAK)\s/,
+    },
+    setEcho: {
+        base: 'EH {VAL}', // 1 to echo every command before its reply, 0 for quiet mode
+        args: {
+            value: 'VAL',
+        },
+        respRegex: /(?<ack>ACK)|(?<nak>NAK)\s/,
+    },
+    getUnitInfo: {
+        base: 'GUI', // KEY=VALUE lines for the model, firmware, hardware revision, unit number and so on, then ACK
+        args: {},
+        respRegex: /^(?<ret>(?:[A-Z_]+=.*\r)*)ACK\r/,
+        shape: 'pairs',
+    },
 };
 
+// the shapes a reply can have, see framer.js
+const shapes = ['line', 'block', 'list', 'lines', 'values', 'pairs'];
+
+/**
+ * Adds a command to the commands table so it can be sent with Symetrix.sendCommand(), e.g. one from a newer
+ * protocol version. The definition has the same form as the built in commands
+ * @param {string} name - the command name, which must not already be in the table
+ * @param {object} definition - `{ base, args, respRegex, shape, count }`
+ */
+function registerCommand(name, { base, args = {}, respRegex, shape = 'line', count } = {}) {
+    if (typeof name !== 'string' || name === '') throw new Error('registerCommand needs a name');
+    if (name in commands) throw new Error(`registerCommand ${name} is already a command`);
+    if (typeof base !== 'string' || base === '' || /[\r\n]/.test(base))
+        throw new Error(`registerCommand ${name} needs a base command string`);
+    if (!(respRegex instanceof RegExp)) throw new Error(`registerCommand ${name} needs a respRegex`);
+    if (!shapes.includes(shape)) throw new Error(`registerCommand ${name} invalid shape ${shape}`);
+    if ((shape === 'lines' || shape === 'values') && !(count in args))
+        throw new Error(`registerCommand ${name} needs the count argument`);
+    Object.entries(args).forEach(([arg, placeholder]) => {
+        if (!base.includes(`{${placeholder}}`)) throw new Error(`registerCommand ${name} base has no {${placeholder}}`);
+    });
+    commands[name] = { base, args, respRegex, shape: shape === 'line' ? undefined : shape, count };
+}
+
 /**
  * Takes a desired command and command arguments as input and returns a formatted
  * command string that the Composer Control Protocol is expecting. If the input
  * command is not found in the commands object, undefined is returned
  * @param {string} command - the desired command string to build, must be in the commands object or undefined is returned
  * @param {object} inArgs - a list of arguments to add to the command string
- * @returns {object} the build command string and the associated regex string to parse the response
+ * @returns {object} the build command string, the associated regex string to parse the response, the response shape
+ * and for the lines shape the number of lines
  */
 function buildCommandString(command, inArgs) {
     // console.log(command, inArgs)
@@ -171,8 +250,14 @@ function buildCommandString(command, inArgs) {
             cmd = cmd.replace(`{${commands[command].args[arg]}}`, val);
             // console.log(cmd)
         }
-        return { command: `${cmd.trim()}\r`, response: commands[command].respRegex };
+        const { respRegex, shape, count } = commands[command];
+        return {
+            command: `${cmd.trim()}\r`,
+            response: respRegex,
+            shape,
+            count: count === undefined ? undefined : Number(inArgs[count]),
+        };
     } else return undefined;
 }
 
-module.exports = { commands, getCommand: buildCommandString };
+module.exports = { commands, getCommand: buildCommandString, registerCommand };
@@ -0,0 +1,75 @@
+/**
+ * An in-memory mirror of control values as last seen from the device. Values arrive from pushes,
+ * from reads (controlGet/controlGetBlock) and from acknowledged writes, tagged with that source.
+ * A value is stale when the connection has dropped since it was last seen, since the device may have
+ * changed without us hearing about it.
+ */
+class ControlCache {
+    constructor() {
+        this._values = new Map(); // id => { value, updated, stale }
+        this._watchers = new Map(); // id => Set of callbacks
+    }
+
+    /**
+     * @param {number} id - the control ID
+     * @return {number|undefined} the cached value or undefined if the control has never been seen
+     */
+    get(id) {
+        const entry = this._values.get(id);
+        return entry ? entry.value : undefined;
+    }
+
+    /**
+     * @param {number} id - the control ID
+     * @return {boolean} true if the control has never been seen or was last seen before a disconnect
+     */
+    isStale(id) {
+        const entry = this._values.get(id);
+        return !entry || entry.stale;
+    }
+
+    /**
+     * Stores a new value for a control and notifies its watchers if the value changed
+     * @param {number} id - the control ID
+     * @param {number} value - the new value
+     * @param {string} source - where the value came from, one of push, local or poll
+     * @return {object|undefined} the change `{ id, value, previous, source }` or undefined if the value is the same
+     */
+    update(id, value, source) {
+        const entry = this._values.get(id);
+        const previous = entry ? entry.value : undefined;
+        this._values.set(id, { value, updated: Date.now(), stale: false });
+        if (previous === value) return undefined;
+
+        const change = { id, value, previous, source };
+        const watchers = this._watchers.get(id);
+        if (watchers) watchers.forEach((cb) => cb(change));
+        return change;
+    }
+
+    // Marks every cached value as stale, e.g. after the connection to the device drops
+    markStale() {
+        this._values.forEach((entry) => {
+            entry.stale = true;
+        });
+    }
+
+    /**
+     * Calls `cb` with `{ id, value, previous, source }` whenever the control's value changes
+     * @param {number} id - the control ID
+     * @param {function} cb - the change callback
+     * @return {function} removes the watcher when called
+     */
+    watch(id, cb) {
+        if (!this._watchers.has(id)) this._watchers.set(id, new Set());
+        this._watchers.get(id).add(cb);
+        return () => {
+            const watchers = this._watchers.get(id);
+            if (!watchers) return;
+            watchers.delete(cb);
+            if (watchers.size === 0) this._watchers.delete(id);
+        };
+    }
+}
+
+module.exports = { ControlCache };
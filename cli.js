@@ -0,0 +1,499 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+const { Symetrix, replay, readCapture } = require('./symetrix');
+const { commands } = require('./api');
+const { units } = require('./helpers');
+
+const historyFile = path.join(os.homedir(), '.symetrix_history');
+const historySize = 500;
+
+const usage = `Usage: symetrix --host <ip> [options] <command> [args]
+
+Commands:
+  get <id> [id...]                 read controls
+  set <id> <value>                 set a control
+  change <id> <by>                 change a control by an amount
+  block <id> <size>                read up to 256 consecutive controls
+  preset get | preset load <n>     read or load the current preset
+  string get <resource>            read a system string
+  string set <resource> <value>    write a system string
+  flash                            flash the front panel LEDs
+  push enable|disable [low] [high] turn push on or off for a range of controls
+  push watch [low] [high]          show pushed values live until interrupted
+  reboot                           reboot the unit, after confirmation
+  repl                             start an interactive session (the default with no command)
+  replay <file>                    show what a capture from --record parses into, without a device
+
+Values are API values (0 to 65535) unless they end in dB or %, are on or off, or --unit is given. A range is one
+control with only low, and all controls (1 to 10000) with neither low nor high.
+
+Options:
+  --host <ip>        the device address, or SYMETRIX_HOST
+  --port <port>      the Composer Control port, defaults to 48631 or SYMETRIX_PORT
+  --udp              use UDP instead of TCP
+  --timeout <ms>     how long to wait for each reply, defaults to 2000
+  --unit <unit>      api, dB or pct, for values without a suffix and for showing values
+  --min <dB>         the bottom of the fader range for dB values, defaults to -72
+  --max <dB>         the top of the fader range for dB values, defaults to 12
+  --json             print JSON instead of tables
+  --record <file>    write everything sent and received to a capture file
+  -y, --yes          do not ask before rebooting
+  --help             show this help`;
+
+/**
+ * Splits command line arguments into options and positional arguments. Negative numbers such as -10dB are
+ * positional, not options
+ * @param {Array} argv - the arguments after the script name
+ * @return {object} `{ options, args }`
+ */
+function parseArgs(argv) {
+    const valued = ['host', 'port', 'timeout', 'unit', 'min', 'max', 'record'];
+    const flags = { udp: 'udp', json: 'json', yes: 'yes', y: 'yes', help: 'help' };
+    const options = {};
+    const args = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const m = arg.match(/^--?([a-z]+)(?:=(.*))?$/);
+        if (!m) args.push(arg);
+        else if (valued.includes(m[1])) {
+            const value = m[2] !== undefined ? m[2] : argv[++i];
+            if (value === undefined) throw new Error(`--${m[1]} needs a value`);
+            options[m[1]] = value;
+        } else if (m[1] in flags) options[flags[m[1]]] = true;
+        else throw new Error(`unknown option ${arg}`);
+    }
+    return { options, args };
+}
+
+/**
+ * Splits a REPL line into words, keeping quoted strings together
+ * @param {string} line - the line
+ * @return {Array} the words
+ */
+function splitWords(line) {
+    const words = [];
+    const re = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+    let m;
+    while ((m = re.exec(line))) {
+        if (m[1] !== undefined) words.push(m[1].replace(/\\(.)/g, '$1'));
+        else if (m[2] !== undefined) words.push(m[2]);
+        else words.push(m[3]);
+    }
+    return words;
+}
+
+/**
+ * Works out the API value for a value typed by the user
+ * @param {string} text - e.g. 32768, -10dB, 50%, on or off
+ * @param {object} settings - `{ unit, min, max }` where unit applies to values without a suffix
+ * @param {boolean} [relative] - true for a change rather than an absolute value
+ * @return {number} the API value or change
+ */
+function parseValue(text, { unit = 'api', min, max }, relative = false) {
+    const range = { min, max };
+    let m;
+    let value;
+    if ((m = String(text).match(/^(-?\d+(?:\.\d+)?)\s*db$/i))) value = [Number(m[1]), 'dB'];
+    else if ((m = String(text).match(/^(-?\d+(?:\.\d+)?)\s*%$/))) value = [Number(m[1]), 'pct'];
+    else if (!relative && ['on', 'off'].includes(text)) value = [text, 'on'];
+    else if (/^-?\d+(?:\.\d+)?$/.test(text)) value = [Number(text), unit];
+    else throw new Error(`invalid value ${text}`);
+    const api = relative ? units.deltaToAPI(value[0], value[1], range) : units.toAPI(value[0], value[1], range);
+    if (api === undefined) throw new Error(`value ${text} is out of range`);
+    return api;
+}
+
+function parseId(text) {
+    const id = Number(text);
+    if (!Number.isInteger(id) || id < 1 || id > 10000) throw new Error(`invalid control id ${text}`);
+    return id;
+}
+
+// a control value as a table row, with the value in the chosen unit alongside the API value
+function valueRow(id, value, { unit = 'api', min, max }) {
+    const row = { id, value };
+    if (unit !== 'api') row[unit] = units.fromAPI(value, unit, { min, max });
+    return row;
+}
+
+/**
+ * @param {Array|object} result - rows to print, or a single row
+ * @return {string} the rows as a table with a header
+ */
+function formatTable(result) {
+    const rows = Array.isArray(result) ? result : [result];
+    if (rows.length === 0) return '(none)';
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    const cells = [columns, ...rows.map((row) => columns.map((c) => (row[c] === undefined ? '' : String(row[c]))))];
+    const widths = columns.map((c, i) => Math.max(...cells.map((r) => r[i].length)));
+    return cells.map((r) => r.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+/**
+ * The subcommands, shared by the command line and the REPL. Each returns rows to print, or undefined
+ */
+const cliCommands = {
+    async get(sym, args, settings) {
+        if (args.length === 0) throw new Error('get needs at least one control id');
+        const rows = [];
+        for (const id of args.map(parseId)) rows.push(valueRow(id, Number(await sym.controlGet(id)), settings));
+        return rows;
+    },
+    async set(sym, [id, value], settings) {
+        if (value === undefined) throw new Error('set needs a control id and a value');
+        const api = parseValue(value, settings);
+        await sym.controlSet(parseId(id), api);
+        return valueRow(Number(id), api, settings);
+    },
+    async change(sym, [id, by], settings) {
+        if (by === undefined) throw new Error('change needs a control id and an amount');
+        await sym.controlChange(parseId(id), parseValue(by, settings, true));
+        return { id: Number(id), ok: true };
+    },
+    async block(sym, [id, size = '1'], settings) {
+        const values = await sym.controlGetBlock(parseId(id), Number(size));
+        return values.map(({ id: i, value }) => valueRow(i, value, settings));
+    },
+    async preset(sym, [action, n]) {
+        if (action === 'get') return { preset: Number(await sym.getPreset()) };
+        if (action === 'load' && n !== undefined) {
+            await sym.loadPreset(Number(n));
+            return { preset: Number(n) };
+        }
+        throw new Error('usage: preset get | preset load <n>');
+    },
+    async string(sym, [action, resource, ...rest]) {
+        if (action === 'get' && resource) return { resource, value: await sym.getSystemString(resource) };
+        if (action === 'set' && resource && rest.length > 0) {
+            await sym.setSystemString(resource, rest.join(' '));
+            return { resource, value: rest.join(' ') };
+        }
+        throw new Error('usage: string get <resource> | string set <resource> <value>');
+    },
+    async flash(sym) {
+        await sym.flashUnit();
+        return { ok: true };
+    },
+    async push(sym, [action, low, high], settings, session) {
+        const range =
+            low === undefined
+                ? { low: 1, high: 10000 }
+                : { low: parseId(low), high: parseId(high === undefined ? low : high) };
+        if (action === 'enable' || action === 'disable') {
+            await sym.pushState(action === 'enable', range);
+            return { ...range, push: action === 'enable' };
+        }
+        if (action === 'watch') return session.watch(range);
+        throw new Error('usage: push enable|disable|watch [low] [high]');
+    },
+    async reboot(sym, args, settings, session) {
+        if (!settings.yes && !(await session.confirm(`Reboot the unit at ${sym.host}? [y/N] `)))
+            return { rebooted: false };
+        await sym.reboot();
+        return { rebooted: true };
+    },
+};
+
+const replHelp = `${usage}
+
+In the REPL also:
+  watch [low] [high]               the same as push watch, press enter to stop
+  json on|off                      switch between JSON and tables
+  unit api|dB|pct                  the unit for values without a suffix
+  exit
+and any command from the commands table in api.js, with its arguments in the order listed there:
+  ${Object.keys(commands).join(', ')}`;
+
+const subcommands = { preset: ['get', 'load'], string: ['get', 'set'], push: ['enable', 'disable', 'watch'] };
+
+/**
+ * Shows pushed values in place, redrawn as they change, or as one line per push when the output is not a terminal
+ * or is JSON
+ * @param {Symetrix} sym - the instance
+ * @param {object} range - `{ low, high }`
+ * @param {object} settings - the output settings
+ * @param {stream.Writable} out - where to draw
+ * @return {Promise} resolves with a function that stops watching
+ */
+async function watchValues(sym, range, settings, out) {
+    const latest = new Map(); // id => { value, at }
+    const live = out.isTTY && !settings.json;
+    let timer;
+    const draw = () => {
+        timer = undefined;
+        const rows = [...latest]
+            .sort(([a], [b]) => a - b)
+            .map(([id, { value, at }]) => ({ ...valueRow(id, value, settings), changed: at.toLocaleTimeString() }));
+        out.write(`\x1b[H\x1b[2JWatching ${range.low} to ${range.high} on ${sym.host}\n\n${formatTable(rows)}\n`);
+    };
+    const onPush = (values) => {
+        values.forEach(({ id, value }) => {
+            if (id < range.low || id > range.high) return;
+            latest.set(id, { value, at: new Date() });
+            if (live) return;
+            const row = valueRow(id, value, settings);
+            out.write(`${settings.json ? JSON.stringify(row) : Object.values(row).join('  ')}\n`);
+        });
+        if (live && !timer) timer = setTimeout(draw, 100);
+    };
+    sym.on('push', onPush);
+    await sym.acquirePush([range]);
+    await sym.pushRefresh(range);
+    if (live) draw();
+    return async () => {
+        clearTimeout(timer);
+        sym.removeListener('push', onPush);
+        await sym.releasePush([range]);
+    };
+}
+
+/**
+ * Connects to the device, failing rather than retrying if it cannot be reached
+ * @param {object} options - the parsed command line options
+ * @return {Promise} resolves with the connected instance
+ */
+function connect(options) {
+    const host = options.host || process.env.SYMETRIX_HOST;
+    if (!host) throw new Error('--host is required');
+    const sym = new Symetrix({
+        host,
+        port: Number(options.port || process.env.SYMETRIX_PORT || 48631),
+        transport: options.udp ? 'udp' : 'tcp',
+        timeout: Number(options.timeout || 2000),
+        retryTimeout: 0,
+        record: options.record,
+    });
+    if (!sym.host) throw new Error(`invalid host ${host}`);
+    return new Promise((resolve, reject) => {
+        const fail = () => {
+            clearTimeout(timer);
+            sym.removeListener('connected', onConnected);
+            sym.removeListener('closed', fail);
+            if (sym.state !== 'closed') sym.destructor();
+            reject(new Error(`could not connect to ${host}`));
+        };
+        const onConnected = () => {
+            clearTimeout(timer);
+            sym.removeListener('closed', fail);
+            resolve(sym);
+        };
+        const timer = setTimeout(fail, Number(options.timeout || 2000));
+        sym.once('connected', onConnected);
+        sym.once('closed', fail);
+    });
+}
+
+/**
+ * Replays a capture file and lists what it parsed into, see replay.js
+ * @param {string} file - the capture
+ * @param {object} settings - `{ json }`
+ * @return {Promise} resolves with the events for JSON, otherwise `{ event, command, detail }` rows
+ */
+async function replayFile(file, { json }) {
+    const { events } = await replay(await readCapture(file));
+    if (json) return events;
+    return events.map(({ event, command, ...rest }) => {
+        const [detail] = Object.values(rest);
+        return { event, command: command && command.trim(), detail: JSON.stringify(detail) };
+    });
+}
+
+/**
+ * Sends a command from the commands table in api.js, with its arguments in the order the table lists them
+ * @param {Symetrix} sym - the instance
+ * @param {string} name - the command name
+ * @param {Array} args - the arguments as typed
+ * @return {Promise} resolves with the parsed response
+ */
+function rawCommand(sym, name, args) {
+    const names = Object.keys(commands[name].args);
+    if (args.length < names.length) throw new Error(`${name} needs ${names.join(', ')}`);
+    const inArgs = {};
+    names.forEach((arg, i) => {
+        inArgs[arg] = /^-?\d+$/.test(args[i]) ? Number(args[i]) : args[i];
+    });
+    return sym.sendCommand(name, inArgs);
+}
+
+/**
+ * Runs an interactive session with history, tab completion and live watching
+ * @param {Symetrix} sym - the connected instance
+ * @param {object} settings - the output settings, which the session can change
+ * @return {Promise} resolves when the session ends
+ */
+function repl(sym, settings) {
+    const names = [...Object.keys(cliCommands), ...Object.keys(commands), 'watch', 'json', 'unit', 'help', 'exit'];
+    const completer = (line) => {
+        const words = line.split(/\s+/);
+        if (words.length === 1) {
+            const hits = names.filter((name) => name.startsWith(words[0]));
+            return [hits.length > 0 ? hits : names, words[0]];
+        }
+        const options = words.length === 2 ? subcommands[words[0]] || [] : [];
+        const hits = options.filter((option) => option.startsWith(words[1]));
+        return [hits, words[words.length - 1]];
+    };
+    let history = [];
+    try {
+        history = fs.readFileSync(historyFile, 'utf8').split('\n').filter(Boolean).reverse();
+    } catch (err) {
+        // no history yet
+    }
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        completer,
+        history,
+        historySize,
+        prompt: `symetrix ${sym.host}> `,
+    });
+    let stopWatching;
+    let closed = false;
+    const session = {
+        confirm: (question) => new Promise((resolve) => rl.question(question, (a) => resolve(/^y(es)?$/i.test(a)))),
+        watch: async (range) => {
+            stopWatching = await watchValues(sym, range, settings, process.stdout);
+            console.log('(press enter to stop)');
+            return undefined;
+        },
+    };
+
+    const onLine = async (line) => {
+        if (stopWatching) {
+            const stop = stopWatching;
+            stopWatching = undefined;
+            await stop().catch((err) => console.error(err.message));
+            return rl.prompt();
+        }
+        const [name, ...args] = splitWords(line);
+        try {
+            if (!name) {
+                // nothing to do
+            } else if (name === 'exit' || name === 'quit') return rl.close();
+            else if (name === 'help') console.log(replHelp);
+            else if (name === 'json') settings.json = args[0] !== 'off';
+            else if (name === 'unit') {
+                if (!['api', 'dB', 'pct'].includes(args[0])) throw new Error('unit must be api, dB or pct');
+                settings.unit = args[0];
+            } else if (name === 'watch') {
+                await cliCommands.push(sym, ['watch', ...args], settings, session);
+                if (stopWatching) return undefined;
+            } else if (name in cliCommands) print(await cliCommands[name](sym, args, settings, session), settings);
+            else if (name in commands) print(await rawCommand(sym, name, args), settings);
+            else console.error(`unknown command ${name}, try help`);
+        } catch (err) {
+            console.error(err.message);
+        }
+        rl.prompt();
+    };
+    rl.on('line', (line) => {
+        // one line at a time so a slow command is not overtaken by the next
+        rl.pause();
+        onLine(line).finally(() => closed || rl.resume());
+    });
+    rl.prompt();
+
+    return new Promise((resolve) => {
+        rl.on('close', async () => {
+            closed = true;
+            if (stopWatching) await stopWatching().catch(() => {});
+            // history is only kept for a terminal, so piped input leaves the file alone
+            if (!rl.terminal) return resolve();
+            fs.writeFile(historyFile, [...rl.history].reverse().join('\n') + '\n', () => resolve());
+        });
+    });
+}
+
+function print(result, settings) {
+    if (result === undefined) return;
+    if (settings.json) console.log(JSON.stringify(result, null, 2));
+    else if (typeof result === 'object' && result !== null) console.log(formatTable(result));
+    else console.log(result);
+}
+
+/**
+ * Runs the command line tool
+ * @param {Array} argv - the arguments after the script name
+ * @return {Promise} resolves with the exit code
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (err) {
+        console.error(`${err.message}\n\n${usage}`);
+        return 2;
+    }
+    const { options, args } = parsed;
+    const [name = 'repl', ...rest] = args;
+    if (options.help) {
+        console.log(usage);
+        return 0;
+    }
+    if (!['repl', 'replay'].includes(name) && !(name in cliCommands)) {
+        console.error(`unknown command ${name}\n\n${usage}`);
+        return 2;
+    }
+    const settings = {
+        unit: options.unit || 'api',
+        min: options.min === undefined ? undefined : Number(options.min),
+        max: options.max === undefined ? undefined : Number(options.max),
+        json: Boolean(options.json),
+        yes: Boolean(options.yes),
+    };
+    if (!['api', 'dB', 'pct'].includes(settings.unit)) {
+        console.error('--unit must be api, dB or pct');
+        return 2;
+    }
+
+    let sym;
+    try {
+        if (name === 'replay') {
+            if (!rest[0]) throw new Error('replay needs a capture file');
+            print(await replayFile(rest[0], settings), settings);
+            return 0;
+        }
+        sym = await connect(options);
+        if (name === 'repl') {
+            await repl(sym, settings);
+            return 0;
+        }
+        const session = {
+            confirm: (question) => {
+                if (!process.stdin.isTTY) return Promise.reject(new Error('reboot needs --yes when not interactive'));
+                const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+                return new Promise((resolve) => {
+                    rl.question(question, (answer) => {
+                        rl.close();
+                        resolve(/^y(es)?$/i.test(answer));
+                    });
+                });
+            },
+            watch: async (range) => {
+                const stop = await watchValues(sym, range, settings, process.stdout);
+                await new Promise((resolve) => process.once('SIGINT', resolve));
+                await stop();
+                return undefined;
+            },
+        };
+        print(await cliCommands[name](sym, rest, settings, session), settings);
+        return 0;
+    } catch (err) {
+        console.error(err.message);
+        return 1;
+    } finally {
+        if (sym) {
+            await sym.stopRecording();
+            sym.destructor();
+        }
+    }
+}
+
+// exits rather than waiting for piped input to end, which the REPL may never read to the end of
+if (require.main === module) main(process.argv.slice(2)).then((code) => process.exit(code));
+
+module.exports = { main, parseArgs, parseValue, splitWords, formatTable };
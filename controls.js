@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+
+const { conversions, values } = require('./helpers');
+
+const types = ['fader', 'mute', 'selector', 'meter', 'button', 'text'];
+
+// the range a control of each type has unless the map declares one
+const defaultRanges = {
+    fader: { min: -72, max: 12 },
+    meter: { min: -48, max: 24 },
+};
+
+// CSV header names as they appear in Composer's control numbers report or a hand-written map
+const csvColumns = {
+    id: ['id', 'control number', 'control id', 'controller number', 'number'],
+    name: ['name', 'control name', 'label', 'description'],
+    type: ['type', 'control type'],
+    min: ['min', 'minimum'],
+    max: ['max', 'maximum', 'positions'],
+    resource: ['resource', 'string'],
+    device: ['device', 'unit', 'frame'],
+};
+
+/**
+ * Splits CSV text into rows of fields, handling quoted fields with embedded commas, quotes and newlines
+ * @param {string} text - the CSV text
+ * @return {Array} an array of rows, each an array of strings
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') quoted = true;
+        else if (c === ',') {
+            row.push(field.trim());
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field.trim());
+            if (row.some((f) => f !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else field += c;
+    }
+    row.push(field.trim());
+    if (row.some((f) => f !== '')) rows.push(row);
+    return rows;
+}
+
+/**
+ * A single named control bound to a Symetrix instance. Values are converted to and from API units with
+ * helpers.js according to the control's type, and validated against its declared range.
+ */
+class Control {
+    constructor(sym, { id, name, type, min, max, resource }) {
+        this.sym = sym;
+        this.id = id;
+        this.name = name;
+        this.type = type;
+        this.min = min;
+        this.max = max;
+        this.resource = resource;
+    }
+
+    _reject(message) {
+        return Promise.reject(Error(`${this.name} (${this.type} ${this.id}) ${message}`));
+    }
+
+    _requireType(method, ...allowed) {
+        if (allowed.includes(this.type)) return undefined;
+        return this._reject(`does not support ${method}`);
+    }
+
+    /**
+     * Converts an API value to this control's units: dB for faders, dBu for meters, a boolean for mutes and
+     * buttons, and the 1-based position for selectors
+     * @param {number} value - the API value, between 0 and 65535
+     * @return {number|boolean}
+     */
+    fromAPI(value) {
+        switch (this.type) {
+            case 'fader':
+            case 'meter':
+                return conversions.apiTodB(value, { min: this.min, max: this.max });
+            case 'mute':
+            case 'button':
+                return values.isOn(value);
+            case 'selector':
+                return conversions.apiToSelector(value, this.max);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Reads the control from the device
+     * @return {Promise} resolves with the value in this control's units, or the string for text controls
+     */
+    get() {
+        if (this.type === 'text') return this.sym.getSystemString(this.resource);
+        return this.sym.controlGet(this.id).then((value) => this.fromAPI(Number(value)));
+    }
+
+    /**
+     * Reads the control from the device in API units
+     * @return {Promise} resolves with the value between 0 and 65535
+     */
+    getRaw() {
+        return this.sym.controlGet(this.id).then(Number);
+    }
+
+    /**
+     * @return {number|boolean|undefined} the last value seen from the device in this control's units
+     */
+    getCached() {
+        const value = this.sym.getCached(this.id);
+        return typeof value === 'undefined' ? undefined : this.fromAPI(value);
+    }
+
+    /**
+     * Sets the control in its own units: dB for faders, a boolean for mutes and buttons, the position
+     * for selectors and a string for text controls. Meters are read-only
+     * @param {number|boolean|string} value - the new value
+     * @return {Promise}
+     */
+    set(value) {
+        switch (this.type) {
+            case 'fader':
+                return this.setDb(value);
+            case 'mute':
+            case 'button':
+                return this._setSwitch(value);
+            case 'selector':
+                return this.select(value);
+            case 'text':
+                return this.sym.setSystemString(this.resource, String(value));
+            default:
+                return this._reject('is read-only');
+        }
+    }
+
+    /**
+     * Sets the control in API units
+     * @param {number} value - the new value, between 0 and 65535
+     * @return {Promise}
+     */
+    setRaw(value) {
+        if (this.type === 'meter' || this.type === 'text') return this._reject('does not support setRaw');
+        return this.sym.controlSet(this.id, value);
+    }
+
+    /**
+     * Sets a fader to a level in dB
+     * @param {number} db - the new level, within the control's range
+     * @return {Promise}
+     */
+    setDb(db) {
+        const unsupported = this._requireType('setDb', 'fader');
+        if (unsupported) return unsupported;
+        if (typeof db !== 'number' || db < this.min || db > this.max)
+            return this._reject(`level ${db} outside ${this.min} to ${this.max}`);
+        return this.sym.controlSet(this.id, conversions.dBToAPI(db, { min: this.min, max: this.max }));
+    }
+
+    /**
+     * Moves a fader by a relative amount in dB
+     * @param {number} db - the change in level, positive or negative
+     * @return {Promise}
+     */
+    changeDb(db) {
+        const unsupported = this._requireType('changeDb', 'fader');
+        if (unsupported) return unsupported;
+        if (typeof db !== 'number' || Math.abs(db) > this.max - this.min)
+            return this._reject(`change ${db} larger than the range ${this.min} to ${this.max}`);
+        const value = conversions.dBToAPI(db, { min: this.min, max: this.max, relative: true });
+        return this.sym.controlChange(this.id, value);
+    }
+
+    _setSwitch(on) {
+        if (values.truthy.includes(on)) return this.sym.controlSet(this.id, values.max);
+        if (values.falsy.includes(on)) return this.sym.controlSet(this.id, values.min);
+        return this._reject(`invalid state ${on}`);
+    }
+
+    /**
+     * @return {Promise}
+     */
+    mute() {
+        return this._requireType('mute', 'mute') || this._setSwitch(true);
+    }
+
+    /**
+     * @return {Promise}
+     */
+    unmute() {
+        return this._requireType('unmute', 'mute') || this._setSwitch(false);
+    }
+
+    /**
+     * @return {Promise}
+     */
+    on() {
+        return this._requireType('on', 'button', 'mute') || this._setSwitch(true);
+    }
+
+    /**
+     * @return {Promise}
+     */
+    off() {
+        return this._requireType('off', 'button', 'mute') || this._setSwitch(false);
+    }
+
+    /**
+     * Flips a mute or button using the cached state if there is one, otherwise the state read from the device
+     * @return {Promise}
+     */
+    toggle() {
+        const unsupported = this._requireType('toggle', 'button', 'mute');
+        if (unsupported) return unsupported;
+        const cached = this.sym.isStale(this.id) ? undefined : this.getCached();
+        const current = typeof cached === 'undefined' ? this.get() : Promise.resolve(cached);
+        return current.then((on) => this._setSwitch(!on));
+    }
+
+    /**
+     * Selects a selector position
+     * @param {number} position - the position to select, between 1 and the number of positions
+     * @return {Promise}
+     */
+    select(position) {
+        const unsupported = this._requireType('select', 'selector');
+        if (unsupported) return unsupported;
+        if (!Number.isInteger(position) || position < this.min || position > this.max)
+            return this._reject(`position ${position} outside ${this.min} to ${this.max}`);
+        return this.sym.controlSet(this.id, conversions.selectorToAPI(position, this.max));
+    }
+
+    /**
+     * Calls `cb` with the new value in this control's units whenever the cached value changes
+     * @param {function} cb - receives `(value, change)` where change is the raw change event
+     * @return {function} call to stop watching
+     */
+    watch(cb) {
+        return this.sym.watch(this.id, (change) => cb(this.fromAPI(change.value), change));
+    }
+}
+
+/**
+ * A set of named controls, loaded from a Composer control numbers CSV export or from JSON.
+ * Each entry has an `id`, a `name`, a `type` (fader, mute, selector, meter, button or text) and, where
+ * it applies, a range: `min`/`max` in dB for faders and dBu for meters, and the number of positions
+ * as `max` for selectors. Text controls name the system string `resource` they read and write.
+ */
+class ControlMap {
+    /**
+     * @param {Array} entries - the control definitions
+     */
+    constructor(entries = []) {
+        this._byName = new Map();
+        this._byId = new Map();
+        entries.forEach((entry) => this.add(entry));
+    }
+
+    /**
+     * Adds a control definition, filling in the default range for its type
+     * @param {object} entry - `{ id, name, type, min, max, resource }`, plus `device` in a map shared by a SymetrixPool
+     */
+    add({ id, name, type = 'fader', min, max, resource, device }) {
+        id = Number(id);
+        type = String(type).toLowerCase();
+        if (!types.includes(type)) throw new Error(`ControlMap unknown type ${type} for ${name}`);
+        if (type !== 'text' && (!Number.isInteger(id) || id < 1 || id > 10000))
+            throw new Error(`ControlMap invalid id ${id} for ${name}`);
+        if (typeof name !== 'string' || name === '') throw new Error(`ControlMap missing name for id ${id}`);
+
+        const range = defaultRanges[type] || {};
+        min = min === undefined || min === '' ? range.min : Number(min);
+        max = max === undefined || max === '' ? range.max : Number(max);
+        if (type === 'selector') {
+            min = 1;
+            if (!Number.isInteger(max) || max < 2) throw new Error(`ControlMap selector ${name} needs max positions`);
+        }
+        if (type === 'text' && !resource) throw new Error(`ControlMap text control ${name} needs a resource`);
+
+        const definition = { id, name, type, min, max, resource };
+        if (device !== undefined && device !== '') definition.device = String(device);
+        this._byName.set(name, definition);
+        if (type !== 'text') this._byId.set(id, definition);
+    }
+
+    /**
+     * @param {string|number} nameOrId - the control name, or its control ID
+     * @return {object|undefined} the control definition
+     */
+    get(nameOrId) {
+        if (typeof nameOrId === 'number') return this._byId.get(nameOrId);
+        return this._byName.get(nameOrId);
+    }
+
+    /**
+     * @return {Array} every control definition
+     */
+    entries() {
+        return [...this._byName.values()];
+    }
+
+    /**
+     * @return {Array} the control definitions, so a map passed to JSON.stringify() can be loaded with fromJSON()
+     */
+    toJSON() {
+        return this.entries();
+    }
+
+    /**
+     * Loads a map from CSV text. The first row must be a header; columns are matched by name so the
+     * control numbers report exported from Composer can be used directly, with extra columns ignored
+     * @param {string} text - the CSV text
+     * @param {object} [defaults] - values for columns that are missing, e.g. `{ type: 'fader' }`
+     * @return {ControlMap}
+     */
+    static fromCSV(text, defaults = {}) {
+        const [header, ...rows] = parseCSV(text);
+        if (!header) return new ControlMap();
+        const columns = {};
+        header.forEach((title, i) => {
+            const key = Object.keys(csvColumns).find((k) => csvColumns[k].includes(title.toLowerCase()));
+            if (key && !(key in columns)) columns[key] = i;
+        });
+        if (!('id' in columns) || !('name' in columns)) throw new Error('ControlMap CSV needs id and name columns');
+
+        return new ControlMap(
+            rows.map((row) => {
+                const entry = { ...defaults };
+                Object.keys(columns).forEach((key) => {
+                    if (row[columns[key]] !== undefined && row[columns[key]] !== '') entry[key] = row[columns[key]];
+                });
+                return entry;
+            })
+        );
+    }
+
+    /**
+     * Loads a map from JSON, either an array of control definitions or an object of definitions keyed by name
+     * @param {string|object} json - the JSON text or the parsed object
+     * @return {ControlMap}
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (Array.isArray(data)) return new ControlMap(data);
+        return new ControlMap(Object.keys(data).map((name) => ({ name, ...data[name] })));
+    }
+
+    /**
+     * Loads a map from a .csv or .json file
+     * @param {string} file - the path to the file
+     * @return {Promise} resolves with the ControlMap
+     */
+    static fromFile(file) {
+        return fs.promises.readFile(file, 'utf8').then((text) => {
+            if (path.extname(file).toLowerCase() === '.csv') return ControlMap.fromCSV(text);
+            return ControlMap.fromJSON(text);
+        });
+    }
+}
+
+module.exports = { Control, ControlMap, parseCSV };
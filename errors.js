@@ -0,0 +1,58 @@
+/**
+ * Errors that command promises are rejected with. Each one carries the command string that was
+ * being sent (without the trailing \r) and, for commands that address a control, the control ID
+ * so callers can tell which of several in-flight commands failed.
+ */
+class SymetrixError extends Error {
+    /**
+     * @param {string} message - the error message
+     * @param {object} [details]
+     * @param {string} [details.command] - the command string that failed
+     * @param {number} [details.id] - the control ID the command addressed
+     */
+    constructor(message, { command, id } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.command = typeof command === 'string' ? command.trim() : command;
+        this.id = id;
+    }
+}
+
+// No response was received within the response timeout, including any UDP retransmits
+class TimeoutError extends SymetrixError {}
+
+// The device answered the command with NAK
+class NakError extends SymetrixError {}
+
+// The command was issued while there was no open connection to the device
+class NotConnectedError extends SymetrixError {}
+
+// The connection closed while the command was waiting to be sent or waiting for its response
+class ConnectionClosedError extends SymetrixError {}
+
+// The command's AbortSignal fired before the command was sent
+class AbortError extends SymetrixError {}
+
+// The send queue lane for the command already holds as many commands as it is allowed
+class QueueFullError extends SymetrixError {}
+
+// A write policy refused the command before it was sent, see policy.js. The error also carries the name of the
+// policy and which of its rules fired: min, max, maxStep, readOnly or confirm
+class PolicyError extends SymetrixError {
+    constructor(message, { command, id, policy, rule } = {}) {
+        super(message, { command, id });
+        this.policy = policy;
+        this.rule = rule;
+    }
+}
+
+module.exports = {
+    SymetrixError,
+    TimeoutError,
+    NakError,
+    NotConnectedError,
+    ConnectionClosedError,
+    AbortError,
+    QueueFullError,
+    PolicyError,
+};
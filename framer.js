@@ -0,0 +1,136 @@
+const EventEmitter = require('events');
+
+const pushLine = /^#\d{5}=\d{5}$/;
+const blockHeader = /^GSB3 (\d{5}) (\d{5})$/;
+const listItem = /^\d{1,5}$/;
+const valueLine = /^\d{1,5} \d{1,5}$/;
+const pair = /^[A-Z_]+=/;
+
+/**
+ * Splits the stream from the device into lines and sorts each line into a push or part of the reply to the
+ * command in flight, however the lines happen to be divided between TCP segments or datagrams.
+ *
+ * What a reply looks like is described by the command in flight with `expect({ shape, regex })`:
+ * - line: a single line matching regex, e.g. ACK, a GS2 value or a GSYSS string
+ * - block: a GSB3 header followed by as many `#nnnnn=nnnnn` lines as the header gives as the block size
+ * - list: control ID lines ended by ACK, as GPU sends
+ * - lines: `count` value lines, as the legacy GSB sends
+ * - values: `count` lines of a control ID and its value, as GSB2 sends
+ * - pairs: `KEY=VALUE` lines ended by ACK, as GUI sends
+ *
+ * Any command can be answered with NAK instead. A `#nnnnn=nnnnn` line is a push unless it is part of a block.
+ *
+ * Events:
+ * - push: an array of `{ id, value }` for the push lines received together
+ * - reply: the lines of the reply to the command in flight
+ * - nak: the command in flight was answered with NAK
+ * - unexpected: a line that is neither a push nor a reply to the command in flight
+ */
+class Framer extends EventEmitter {
+    constructor() {
+        super();
+        this.reset();
+    }
+
+    /**
+     * Drops any partly received line and reply, e.g. when the connection is lost
+     */
+    reset() {
+        this._partial = '';
+        this._expected = undefined;
+        this._lines = [];
+        this._remaining = 0;
+    }
+
+    /**
+     * Sets the shape of the reply to look for, or nothing when no command is in flight
+     * @param {object} [expected]
+     * @param {string} [expected.shape] - one of line, block, list, lines, values or pairs, defaults to line
+     * @param {RegExp} [expected.regex] - what a line reply matches, tested with the trailing \r
+     * @param {number} [expected.count] - the number of lines in a lines or values reply
+     */
+    expect(expected) {
+        this._expected = expected
+            ? { shape: expected.shape || 'line', regex: expected.regex, count: expected.count }
+            : undefined;
+        this._lines = [];
+        this._remaining = 0;
+    }
+
+    /**
+     * @param {string} data - received data, which may end part way through a line
+     */
+    write(data) {
+        const lines = (this._partial + data).split('\r');
+        this._partial = lines.pop();
+
+        let pushes = [];
+        const flush = () => {
+            if (pushes.length > 0) this.emit('push', pushes);
+            pushes = [];
+        };
+        lines.forEach((raw) => {
+            const line = raw.replace(/^\n/, '');
+            if (line === '') return;
+            const kind = this._classify(line);
+            if (kind === 'push') {
+                pushes.push({ id: Number(line.slice(1, 6)), value: Number(line.slice(7)) });
+            } else if (kind === 'reply' || kind === 'nak') {
+                // pushes that came before the reply are emitted first so listeners see them in order
+                flush();
+                const reply = this._lines;
+                this.expect(undefined);
+                if (kind === 'nak') this.emit('nak', line);
+                else this.emit('reply', reply);
+            } else if (kind === 'unexpected') this.emit('unexpected', line);
+        });
+        flush();
+    }
+
+    /**
+     * @param {string} line - a complete line without the \r
+     * @return {string} push, part (of a reply still being received), reply (the last line of one), nak or unexpected
+     */
+    _classify(line) {
+        const expected = this._expected;
+        if (expected && expected.shape === 'block' && this._lines.length > 0) {
+            if (!pushLine.test(line)) return 'unexpected';
+            this._lines.push(line);
+            return --this._remaining > 0 ? 'part' : 'reply';
+        }
+        if (pushLine.test(line)) return 'push';
+        if (!expected) return 'unexpected';
+        if (line === 'NAK' && this._lines.length === 0) return 'nak';
+
+        switch (expected.shape) {
+            case 'block': {
+                const m = line.match(blockHeader);
+                if (!m) return 'unexpected';
+                this._lines.push(line);
+                this._remaining = Number(m[2]);
+                return this._remaining > 0 ? 'part' : 'reply';
+            }
+            case 'list':
+                if (line === 'ACK') return 'reply';
+                if (!listItem.test(line)) return 'unexpected';
+                this._lines.push(line);
+                return 'part';
+            case 'lines':
+            case 'values':
+                if (!(expected.shape === 'lines' ? listItem : valueLine).test(line)) return 'unexpected';
+                this._lines.push(line);
+                return this._lines.length < expected.count ? 'part' : 'reply';
+            case 'pairs':
+                if (line === 'ACK') return 'reply';
+                if (!pair.test(line)) return 'unexpected';
+                this._lines.push(line);
+                return 'part';
+            default:
+                if (expected.regex && !expected.regex.test(`${line}\r`)) return 'unexpected';
+                this._lines.push(line);
+                return 'reply';
+        }
+    }
+}
+
+module.exports = { Framer };
@@ -0,0 +1,176 @@
+const EventEmitter = require('events');
+
+const { TimeoutError, NakError } = require('./errors');
+
+// how many of the most recent commands the timeout rate and round trip times are worked out over
+const windowSize = 100;
+
+const defaults = {
+    intervalMs: 5000, // how often to send a heartbeat when nothing else has been answered
+    timeoutMs: 2000, // how long a heartbeat waits for its reply
+    deadAfter: 3, // consecutive timeouts after which the link is dead
+    degradedTimeoutRate: 0.05, // timeout rate over the recent commands above which the link is degraded
+    degradedRttMs: 500, // average round trip above which the link is degraded
+};
+
+function timing() {
+    return { count: 0, total: 0, min: undefined, max: 0, last: undefined };
+}
+
+function addTiming(t, ms) {
+    t.count += 1;
+    t.total += ms;
+    t.last = ms;
+    t.max = Math.max(t.max, ms);
+    t.min = t.min === undefined ? ms : Math.min(t.min, ms);
+}
+
+function summary({ count, total, min, max, last }) {
+    return { average: count > 0 ? Math.round(total / count) : undefined, min, max: count > 0 ? max : undefined, last };
+}
+
+/**
+ * Keeps link quality figures for a Symetrix instance: round trip time, timeouts and time spent in the send queue,
+ * overall and per command type. With a heartbeat it also checks the link while it is idle and works out a status:
+ * - ok
+ * - degraded: the recent timeout rate or average round trip is over its limit
+ * - dead: several commands in a row have timed out, e.g. on a half open TCP connection
+ *
+ * Emits `health` with the stats after each heartbeat and whenever the status changes, and `dead` when it becomes
+ * dead.
+ */
+class LinkHealth extends EventEmitter {
+    /**
+     * @param {Symetrix} sym - the instance to watch
+     * @param {object|boolean} [heartbeat] - true or heartbeat options (see defaults above) to send heartbeats
+     */
+    constructor(sym, heartbeat) {
+        super();
+        this.sym = sym;
+        this.heartbeat = heartbeat ? { ...defaults, ...(heartbeat === true ? {} : heartbeat) } : undefined;
+        this.status = 'ok';
+        this._recent = []; // { rtt, timedOut } for the last windowSize commands
+        this._types = new Map(); // command type => figures
+        this._consecutiveTimeouts = 0;
+        this._lastReply = 0;
+        this._lastHeartbeat = undefined;
+        this._timer = undefined;
+        this._beating = false;
+
+        sym.on('state', (state) => {
+            if (state === 'connected') {
+                this._consecutiveTimeouts = 0;
+                this._lastReply = Date.now();
+                this._evaluate();
+                this._start();
+            } else clearInterval(this._timer);
+        });
+    }
+
+    /**
+     * Records how a command that was sent went
+     * @param {object} entry - the command
+     * @param {Error} [err] - the error it was rejected with, if it was
+     */
+    record(entry, err) {
+        if (!entry.sentAt) return; // never went out so says nothing about the link
+        const now = Date.now();
+        const type = entry.type || 'other';
+        if (!this._types.has(type))
+            this._types.set(type, { sent: 0, timeouts: 0, naks: 0, errors: 0, rtt: timing(), wait: timing() });
+        const figures = this._types.get(type);
+        figures.sent += 1;
+        if (entry.queuedAt) addTiming(figures.wait, entry.sentAt - entry.queuedAt);
+
+        const timedOut = err instanceof TimeoutError;
+        const answered = !err || err instanceof NakError;
+        if (timedOut) figures.timeouts += 1;
+        else if (err instanceof NakError) figures.naks += 1;
+        else if (err) figures.errors += 1;
+        if (answered) {
+            addTiming(figures.rtt, now - entry.sentAt);
+            this._lastReply = now;
+        }
+        if (!timedOut && !answered) return; // e.g. the connection closed with it in flight
+
+        this._recent.push({ rtt: answered ? now - entry.sentAt : undefined, timedOut });
+        if (this._recent.length > windowSize) this._recent.shift();
+        this._consecutiveTimeouts = timedOut ? this._consecutiveTimeouts + 1 : 0;
+        this._evaluate();
+    }
+
+    /**
+     * @return {object} the link status and figures, see Symetrix.stats()
+     */
+    stats() {
+        const answered = this._recent.filter((r) => !r.timedOut);
+        const rtts = answered.map((r) => r.rtt);
+        const types = {};
+        this._types.forEach(({ sent, timeouts, naks, errors, rtt, wait }, type) => {
+            types[type] = { sent, timeouts, naks, errors, rtt: summary(rtt), wait: summary(wait) };
+        });
+        return {
+            status: this.status,
+            rtt: {
+                average: rtts.length > 0 ? Math.round(rtts.reduce((a, b) => a + b, 0) / rtts.length) : undefined,
+                min: rtts.length > 0 ? Math.min(...rtts) : undefined,
+                max: rtts.length > 0 ? Math.max(...rtts) : undefined,
+                last: rtts[rtts.length - 1],
+            },
+            timeoutRate: this._timeoutRate(),
+            consecutiveTimeouts: this._consecutiveTimeouts,
+            lastReplyAt: this._lastReply ? new Date(this._lastReply) : undefined,
+            heartbeat: this.heartbeat && {
+                intervalMs: this.heartbeat.intervalMs,
+                lastAt: this._lastHeartbeat && new Date(this._lastHeartbeat),
+            },
+            types,
+        };
+    }
+
+    stop() {
+        clearInterval(this._timer);
+    }
+
+    _timeoutRate() {
+        if (this._recent.length === 0) return 0;
+        return this._recent.filter((r) => r.timedOut).length / this._recent.length;
+    }
+
+    _evaluate() {
+        if (!this.heartbeat) return;
+        const { deadAfter, degradedTimeoutRate, degradedRttMs } = this.heartbeat;
+        const { rtt, timeoutRate } = this.stats();
+        let status = 'ok';
+        if (this._consecutiveTimeouts >= deadAfter) status = 'dead';
+        else if (timeoutRate > degradedTimeoutRate || rtt.average > degradedRttMs) status = 'degraded';
+        if (status === this.status) return;
+        this.status = status;
+        this.emit('health', this.stats());
+        if (status === 'dead') this.emit('dead');
+    }
+
+    _start() {
+        if (!this.heartbeat) return;
+        clearInterval(this._timer);
+        this._timer = setInterval(() => this._beat(), this.heartbeat.intervalMs);
+        // the timer alone should not keep a process alive
+        if (this._timer.unref) this._timer.unref();
+    }
+
+    async _beat() {
+        // any recent reply already shows the link is alive, and only one heartbeat is out at a time
+        if (this._beating || Date.now() - this._lastReply < this.heartbeat.intervalMs) return;
+        this._beating = true;
+        this._lastHeartbeat = Date.now();
+        try {
+            await this.sym.noOp({ timeout: this.heartbeat.timeoutMs, priority: 'urgent' });
+        } catch (err) {
+            // recorded along with every other command
+        }
+        this._beating = false;
+        this.emit('health', this.stats());
+    }
+}
+
+module.exports = { LinkHealth };
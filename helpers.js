@@ -37,9 +37,20 @@ function pctToAPI(value) {
     else return Math.round(genericMap(value, -100, 100, -apiMax, apiMax));
 }
 
-// Maps an API value to the standard value for meters [-48dBu,+24dBu]
-function apiToMeter(value) {
-    return apiTodB(value, { min: defaultMeterMin, max: defaultMeterMax });
+// Maps a normalised value, i.e. [0,1] as sent by OSC faders, to an API value (i.e. [0,65535])
+function normalToAPI(value) {
+    // 0 <= value <= 1
+    return Math.round(genericMap(value, 0, 1, apiMin, apiMax));
+}
+
+// Maps an API value to a normalised value in [0,1]
+function apiToNormal(value) {
+    return genericMap(value, apiMin, apiMax, 0, 1);
+}
+
+// Maps an API value to the standard value for meters [-48dBu,+24dBu], or a custom meter range
+function apiToMeter(value, { min = defaultMeterMin, max = defaultMeterMax } = {}) {
+    return apiTodB(value, { min, max });
 }
 
 // Maps an API value to the standard value for faders [-72,12]
@@ -56,6 +67,10 @@ const isOn = (value) => value === isOnValue;
 
 const isOff = (value) => value === isOffValue;
 
+// The values accepted for switching a mute or button on and off
+const truthy = [true, 'on', 'mute'];
+const falsy = [false, 'off', 'unmute'];
+
 // Maps a selctor index [1,max] to an API value [0,65535]. max is a required input
 function selectorToAPI(selected, max) {
     return Math.round(genericMap(selected, 1, max, apiMin, apiMax));
@@ -66,11 +81,110 @@ function apiToSelector(value, max) {
     return Math.round(genericMap(value, apiMin, apiMax, 1, max));
 }
 
+// Collapses a list of control IDs and/or { low, high } ranges into sorted, non-overlapping ranges
+function toRanges(ids) {
+    const sorted = [];
+    ids.forEach((item) => {
+        if (typeof item === 'number') sorted.push({ low: item, high: item });
+        else sorted.push({ low: item.low, high: item.high });
+    });
+    sorted.sort((a, b) => a.low - b.low);
+    const ranges = [];
+    sorted.forEach((r) => {
+        const last = ranges[ranges.length - 1];
+        if (last && r.low <= last.high + 1) last.high = Math.max(last.high, r.high);
+        else ranges.push(r);
+    });
+    return ranges;
+}
+
+// Expands a list of control IDs and/or { low, high } ranges into the individual control IDs
+function expandRanges(ids) {
+    const expanded = [];
+    toRanges(ids).forEach(({ low, high }) => {
+        for (let id = low; id <= high; id++) expanded.push(id);
+    });
+    return expanded;
+}
+
+function validRange(value, low, high) {
+    if (typeof value !== 'number') return false;
+    if (value < low || value > high) return false;
+    return true;
+}
+
+function validControlId(id) {
+    return validRange(id, 0, 10000);
+}
+
+function validControlValue(value) {
+    return validRange(value, 0, 65535);
+}
+
+// The units a control value can be given in: raw API values, dB over a fader range, percent or on/off
+const unitNames = ['api', 'dB', 'pct', 'on'];
+
+// Converts a value in one of unitNames to an API value, or undefined if it is not a valid value in that unit.
+// range is the fader's { min, max } in dB for the dB unit
+function unitToAPI(value, unit = 'api', { min = defaultFaderMin, max = defaultFaderMax } = {}) {
+    switch (unit) {
+        case 'api':
+            return Number.isInteger(value) && validControlValue(value) ? value : undefined;
+        case 'dB':
+            return validRange(value, min, max) ? dBToAPI(value, { min, max }) : undefined;
+        case 'pct':
+            return validRange(value, 0, 100) ? Math.round(genericMap(value, 0, 100, apiMin, apiMax)) : undefined;
+        case 'on':
+            if (truthy.includes(value)) return isOnValue;
+            if (falsy.includes(value)) return isOffValue;
+            return undefined;
+        default:
+            return undefined;
+    }
+}
+
+// Converts a change in one of unitNames, other than on, to a change in API value, or undefined if it is not valid
+function unitDeltaToAPI(value, unit = 'api', { min = defaultFaderMin, max = defaultFaderMax } = {}) {
+    switch (unit) {
+        case 'api':
+            return Number.isInteger(value) && validRange(value, -apiMax, apiMax) ? value : undefined;
+        case 'dB':
+            return validRange(value, min - max, max - min) ? dBToAPI(value, { min, max, relative: true }) : undefined;
+        case 'pct':
+            return validRange(value, -100, 100) ? Math.round(genericMap(value, -100, 100, -apiMax, apiMax)) : undefined;
+        default:
+            return undefined;
+    }
+}
+
+// Converts the value of a set action to an API value, or undefined if it is not valid. On/off values such as
+// 'mute' are accepted whatever the unit
+function actionToAPI(value, unit = 'api', range = {}) {
+    if (truthy.includes(value) || falsy.includes(value)) return unitToAPI(value, 'on');
+    return unitToAPI(value, unit, range);
+}
+
+// Converts an API value to one of unitNames
+function apiToUnit(value, unit = 'api', range = {}) {
+    switch (unit) {
+        case 'dB':
+            return apiTodB(value, range);
+        case 'pct':
+            return roundTo1(genericMap(value, apiMin, apiMax, 0, 100));
+        case 'on':
+            return isOn(value);
+        default:
+            return value;
+    }
+}
+
 module.exports = {
     conversions: {
         apiTodB,
         dBToAPI,
         pctToAPI,
+        normalToAPI,
+        apiToNormal,
         faderToAPI,
         apiToFader,
         apiToMeter,
@@ -79,11 +193,27 @@ module.exports = {
         genericMap,
     },
     values: {
-        truthy: [true, 'on', 'mute'],
-        falsy: [false, 'off', 'unmute'],
+        truthy,
+        falsy,
         max: isOnValue,
         min: isOffValue,
         isOn,
         isOff,
     },
+    ranges: {
+        toRanges,
+        expandRanges,
+    },
+    validation: {
+        validRange,
+        validControlId,
+        validControlValue,
+    },
+    units: {
+        names: unitNames,
+        toAPI: unitToAPI,
+        deltaToAPI: unitDeltaToAPI,
+        actionToAPI,
+        fromAPI: apiToUnit,
+    },
 };
@@ -0,0 +1,266 @@
+const EventEmitter = require('events');
+
+const journalVersion = 1;
+
+const defaults = {
+    windowMs: 500, // writes this close to the one before join its group, so a fader drag undoes in one go
+    depth: 100, // groups that can be undone
+    historySize: 1000, // groups kept for export(), whether or not they can still be undone
+};
+
+/**
+ * Records successful writes with the value each replaced so they can be undone and redone, available as
+ * `sym.journal` with the journal option. Each record is a change:
+ * - `{ type: 'set', id, value, previous, after, at }` for controlSet
+ * - `{ type: 'change', id, value, previous, after, at }` for controlChange, value being the amount
+ * - `{ type: 'preset', id, previous, after, at }` for loadPreset, previous being the preset loaded before it
+ *
+ * The previous value is what the write before it to the same control leaves behind if that is still pending, and
+ * otherwise comes from the control cache or, if that is stale, from reading the control before writing; the
+ * previous preset likewise from the load before it, the last one loaded or GPR. A controlSet replaced by a later
+ * one before it was sent is not recorded. Changes are grouped: everything written during a
+ * transaction() is one group, and otherwise a write within `windowMs` of the last one joins its group. undo() and
+ * redo() work a group at a time, setting each control back to its previous (or after) value through the send
+ * queue, so write policies still apply. Undoing a preset loads the preset that was loaded before it, if any, which
+ * does not restore control values the preset changed.
+ *
+ * Events:
+ * - record: `{ group, change }` for each change recorded
+ * - undo, redo: the group once it has been undone or redone
+ */
+class Journal extends EventEmitter {
+    /**
+     * @param {Symetrix} sym - the instance to record
+     * @param {object|boolean} [options] - true or `{ windowMs, depth, historySize }`, see defaults above
+     */
+    constructor(sym, options) {
+        super();
+        this.sym = sym;
+        this.options = { ...defaults, ...(options === true ? {} : options) };
+        this._undo = []; // groups that can be undone, most recent last
+        this._redo = []; // groups that have been undone and can be redone, most recently undone last
+        this._history = []; // every group, oldest first
+        this._nextGroup = 1;
+        this._transaction = undefined;
+        this._running = Promise.resolve(); // undo and redo run one at a time
+        this._preset = undefined; // the last preset loaded, if known
+        this._pending = new Map(); // control ID, or preset, => `{ after, ready }` for the last write not yet settled
+
+        sym.on('preset', (id) => {
+            this._preset = id;
+        });
+    }
+
+    get canUndo() {
+        return this._undo.length > 0;
+    }
+
+    get canRedo() {
+        return this._redo.length > 0;
+    }
+
+    /**
+     * Records a write once it succeeds. Called by controlSet, controlChange and loadPreset when they are called, so
+     * the transaction and the order of writes to the same control are those of the calls
+     * @param {object} change - `{ type, id }`
+     * @param {function} write - checks policies and sends the write, returning a promise of `{ data, sent, value }`,
+     * sent being false if the command was replaced by a later one and value the amount written
+     * @return {Promise} settles with the write's data, or rejects without writing if the previous value cannot be
+     * read
+     */
+    track(change, write) {
+        // taken now since a policy check or reading the previous value can outlast the transaction
+        const transaction = this._transaction;
+        const key = change.type === 'preset' ? 'preset' : change.id;
+        const pending = this._pending.get(key);
+        const known = this._known(change);
+        let previous;
+        let ready; // what the write has to wait for before it is sent, if anything
+        if (pending) {
+            previous = pending.after;
+            // a write waiting for its previous value holds back the writes after it so they go out in order
+            ready = pending.ready && pending.ready.catch(() => {});
+        } else if (known !== undefined) previous = Promise.resolve(known);
+        else {
+            previous =
+                change.type === 'preset'
+                    ? this.sym.getPreset().then(Number)
+                    : this.sym.controlGet(change.id).then(Number);
+            ready = previous;
+        }
+
+        const written = ready ? ready.then(() => write()) : write();
+        // the value this write leaves behind, which is the previous value of the next write to the same control
+        const after = written.then(
+            ({ sent, value }) => previous.then((last) => (sent ? this._after({ ...change, value }, last) : last)),
+            () => previous.catch(() => (change.type === 'preset' ? this._preset : this.sym.getCached(change.id)))
+        );
+        const node = { after, ready };
+        this._pending.set(key, node);
+        after.then(() => {
+            if (this._pending.get(key) === node) this._pending.delete(key);
+        });
+
+        return written.then(({ data, sent, value }) =>
+            previous.then((last) => {
+                if (sent) {
+                    const done = change.type === 'preset' ? change : { ...change, value };
+                    const after = this._after(done, last);
+                    this._record(transaction, { ...done, previous: last, after, at: new Date() });
+                }
+                return data;
+            })
+        );
+    }
+
+    _known({ type, id }) {
+        if (type === 'preset') return this._preset;
+        return this.sym.isStale(id) ? undefined : this.sym.getCached(id);
+    }
+
+    /**
+     * Groups every write made while `fn` runs, including writes it starts without waiting for them. Writes made
+     * elsewhere in the meantime join the group too. A transaction inside another is part of the outer one
+     * @param {function} fn - makes the writes, may be async
+     * @param {string} [label] - a description of the group, kept in the export
+     * @return {Promise} resolves with what `fn` returns
+     */
+    async transaction(fn, label) {
+        if (this._transaction) return fn();
+        this._transaction = { label, group: undefined };
+        try {
+            return await fn();
+        } finally {
+            this._transaction = undefined;
+        }
+    }
+
+    /**
+     * Undoes the most recent group of changes
+     * @return {Promise} resolves with the group, or undefined if there is nothing to undo. If a write fails the
+     * group stays undoable and the promise rejects with its error
+     */
+    undo() {
+        return this._queue(() => this._apply(this._undo, this._redo, 'undo'));
+    }
+
+    /**
+     * Redoes the most recently undone group of changes
+     * @return {Promise} resolves with the group, or undefined if there is nothing to redo
+     */
+    redo() {
+        return this._queue(() => this._apply(this._redo, this._undo, 'redo'));
+    }
+
+    /**
+     * Forgets everything that can be undone or redone, keeping the history for export()
+     */
+    clear() {
+        this._undo = [];
+        this._redo = [];
+    }
+
+    /**
+     * @return {object} the history for an audit trail, ready for JSON.stringify:
+     * `{ version, host, exportedAt, groups }` where each group is `{ id, label, state, at, changes }`, state
+     * being done, undone or discarded (undone and then replaced by a new write, so it can no longer be redone)
+     */
+    export() {
+        return {
+            version: journalVersion,
+            host: this.sym.host,
+            exportedAt: new Date().toISOString(),
+            groups: this._history.map(({ id, label, state, at, changes }) => ({
+                id,
+                label,
+                state,
+                at: at.toISOString(),
+                changes: changes.map((change) => ({ ...change, at: change.at.toISOString() })),
+            })),
+        };
+    }
+
+    _after({ type, id, value }, previous) {
+        if (type === 'preset') return id;
+        if (type === 'change') return Math.min(Math.max(previous + value, 0), 65535);
+        return value;
+    }
+
+    _record(transaction, change) {
+        // anything undone can no longer be redone once something new is written
+        this._redo.forEach((group) => {
+            group.state = 'discarded';
+        });
+        this._redo = [];
+
+        const last = this._undo[this._undo.length - 1];
+        let group;
+        if (transaction) group = this._undo.includes(transaction.group) ? transaction.group : undefined;
+        else if (last && !last.transaction && change.at - last.lastAt <= this.options.windowMs) group = last;
+        if (!group) {
+            group = {
+                id: this._nextGroup++,
+                label: transaction && transaction.label,
+                state: 'done',
+                at: change.at,
+                changes: [],
+                transaction: Boolean(transaction),
+            };
+            if (transaction) transaction.group = group;
+            this._undo.push(group);
+            this._history.push(group);
+            if (this._undo.length > this.options.depth) this._undo.shift();
+            if (this._history.length > this.options.historySize) this._history.shift();
+        }
+        group.changes.push(change);
+        group.lastAt = change.at;
+        this.emit('record', { group: group.id, change });
+    }
+
+    _queue(fn) {
+        const run = this._running.then(fn);
+        this._running = run.catch(() => {});
+        return run;
+    }
+
+    async _apply(from, to, direction) {
+        const group = from.pop();
+        if (!group) return undefined;
+        const undo = direction === 'undo';
+        const ordered = undo ? [...group.changes].reverse() : group.changes;
+
+        // only the last value each control is given since the last preset load needs sending
+        const steps = [];
+        let seen = new Map(); // control ID => its step since the last preset load
+        ordered.forEach((change) => {
+            const value = undo ? change.previous : change.after;
+            if (change.type === 'preset') {
+                steps.push({ change, value });
+                seen = new Map();
+            } else if (seen.has(change.id)) seen.get(change.id).value = value;
+            else {
+                const step = { change, value };
+                seen.set(change.id, step);
+                steps.push(step);
+            }
+        });
+
+        try {
+            for (const { change, value } of steps) {
+                // no preset had been loaded before it, so there is nothing to go back to
+                if (change.type === 'preset' && !value) continue;
+                if (change.type === 'preset') await this.sym.loadPreset(value, { journal: false });
+                else await this.sym.controlSet(change.id, value, { journal: false, coalesce: false });
+            }
+        } catch (err) {
+            from.push(group);
+            throw err;
+        }
+        group.state = undo ? 'undone' : 'done';
+        to.push(group);
+        this.emit(direction, group);
+        return group;
+    }
+}
+
+module.exports = { Journal };
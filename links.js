@@ -0,0 +1,154 @@
+const EventEmitter = require('events');
+
+const { conversions } = require('./helpers');
+
+const modes = ['absolute', 'relative', 'dB'];
+const directions = ['gang', 'master'];
+
+const clamp = (value, low, high) => Math.min(Math.max(value, low), high);
+
+/**
+ * Makes controls move together in software, including controls on different devices. When a member changes,
+ * from a push or from an acknowledged controlSet, the other members are set to follow it:
+ * - absolute: to the same API value
+ * - relative: by the same change in API value
+ * - dB: to the same level in dB plus the difference between their `offsetDb` and that of the member that moved
+ *
+ * A gang propagates a change of any member, a master link only changes of its first member.
+ *
+ * Values written by the link are expected back as pushes and acknowledgements and are not propagated again,
+ * so a link never ping-pongs between its members.
+ *
+ * Emits `propagate` with `{ from: { id, value }, to: [{ id, value }] }` for each change it passes on.
+ */
+class Link extends EventEmitter {
+    /**
+     * @param {Array} members - `{ sym, id, offsetDb, min, max, floor, ceiling }` where min and max are the
+     * fader's dB range and floor and ceiling are the limits the member is clamped to, in dB for dB links
+     * and API units otherwise
+     * @param {object} options
+     * @param {string} options.mode - one of absolute, relative or dB
+     * @param {string} options.direction - gang or master
+     */
+    constructor(members, { mode, direction }) {
+        super();
+        this.members = members;
+        this.mode = mode;
+        this.direction = direction;
+        this.suspended = false;
+        this._expected = new Map(); // member => values written by the link and not yet seen back
+
+        this._listeners = new Map(); // sym => change listener
+        members.forEach(({ sym }) => {
+            if (this._listeners.has(sym)) return;
+            const listener = (change) => this._onChange(sym, change);
+            this._listeners.set(sym, listener);
+            sym.on('change', listener);
+        });
+    }
+
+    /**
+     * Stops passing on changes until resume() is called. Changes made while suspended are not caught up on
+     */
+    suspend() {
+        this.suspended = true;
+    }
+
+    resume() {
+        this.suspended = false;
+    }
+
+    /**
+     * Removes the link for good
+     */
+    unlink() {
+        this._listeners.forEach((listener, sym) => sym.removeListener('change', listener));
+        this._listeners.clear();
+        this._expected.clear();
+    }
+
+    _onChange(sym, { id, value, previous, source }) {
+        if (source !== 'push' && source !== 'local') return;
+        this.members.forEach((member, i) => {
+            if (member.sym !== sym || member.id !== id) return;
+            // our own write coming back
+            const expected = this._expected.get(member);
+            if (expected && expected.includes(value)) {
+                expected.splice(expected.indexOf(value), 1);
+                if (expected.length === 0) this._expected.delete(member);
+                return;
+            }
+            if (this.suspended || (this.direction === 'master' && i > 0)) return;
+            this._propagate(member, value, previous);
+        });
+    }
+
+    /**
+     * @param {object} member - the member that changed
+     * @param {number} value - its new API value
+     * @param {number} [previous] - its API value before the change, if it was known
+     * @param {object} target - the member to work out a value for
+     * @return {number|undefined} the API value to set target to, or undefined to leave it alone
+     */
+    _follow(member, value, previous, target) {
+        if (this.mode === 'absolute') return clamp(value, target.floor, target.ceiling);
+        if (this.mode === 'relative') {
+            if (previous === undefined) return undefined;
+            const current = target.sym.getCached(target.id);
+            if (current === undefined) return undefined;
+            return clamp(current + value - previous, target.floor, target.ceiling);
+        }
+        const db = conversions.apiTodB(value, member) - member.offsetDb + target.offsetDb;
+        const api = conversions.dBToAPI(clamp(db, target.floor, target.ceiling), target);
+        return clamp(api, 0, 65535);
+    }
+
+    _propagate(member, value, previous) {
+        const to = [];
+        this.members.forEach((target) => {
+            if (target === member) return;
+            const next = this._follow(member, value, previous, target);
+            if (next === undefined || next === target.sym.getCached(target.id)) return;
+            if (!this._expected.has(target)) this._expected.set(target, []);
+            this._expected.get(target).push(next);
+            to.push({ id: target.id, value: next });
+            target.sym.controlSet(target.id, next).catch((err) => {
+                const expected = this._expected.get(target) || [];
+                if (expected.includes(next)) expected.splice(expected.indexOf(next), 1);
+                console.error(`Symetrix link could not set control ${target.id}:`, err.message);
+            });
+        });
+        if (to.length > 0) this.emit('propagate', { from: { id: member.id, value }, to });
+    }
+}
+
+/**
+ * Checks link options and fills in the defaults for each member
+ * @param {Array} members - `{ sym, id, ... }` for each member, see Link
+ * @param {object} [options] - `{ mode, direction }`
+ * @return {Link} the link
+ */
+function createLink(members, { mode = 'absolute', direction = 'gang' } = {}) {
+    if (!modes.includes(mode)) throw new Error(`link invalid mode ${mode}`);
+    if (!directions.includes(direction)) throw new Error(`link invalid direction ${direction}`);
+    if (members.length < 2) throw new Error('link needs at least two members');
+    return new Link(
+        members.map(({ sym, id, offsetDb = 0, min = -72, max = 12, floor, ceiling }) => {
+            if (!Number.isInteger(id) || id < 1 || id > 10000) throw new Error(`link invalid control id ${id}`);
+            const low = mode === 'dB' ? min : 0;
+            const high = mode === 'dB' ? max : 65535;
+            return {
+                sym,
+                id,
+                offsetDb,
+                min,
+                max,
+                floor: floor === undefined ? low : floor,
+                ceiling: ceiling === undefined ? high : ceiling,
+            };
+        }),
+        { mode, direction }
+    );
+}
+
+module.exports = { Link, createLink, modes };
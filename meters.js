@@ -0,0 +1,205 @@
+const EventEmitter = require('events');
+
+const { conversions, ranges } = require('./helpers');
+
+/**
+ * A group of meters subscribed together. Pushed meter values are converted to dBu and every
+ * `intervalMs` a `frame` event is emitted with `{ time, meters: [{ id, current, peak, rms }] }` where
+ * - current is the last pushed level
+ * - peak is the highest recent level, held for `peakHoldMs` and then falling at `decayDbPerSec`
+ * - rms is the power average of the level over the last `averageMs`
+ *
+ * `clip` is emitted with `{ id, level }` when a meter reaches `clipDb`, and `silence` when a meter has
+ * stayed at or below `silenceDb` for `silenceMs`, followed by `signal` when it comes back.
+ */
+class MeterSubscription extends EventEmitter {
+    constructor(meters, ids, options) {
+        super();
+        this._meters = meters;
+        this.ids = ids;
+        this.options = options;
+        this._ids = new Set(ranges.expandRanges(ids)); // every control ID covered, to pick out their pushes
+        this._state = new Map(); // id => { current, peakValue, peakAt, samples, clipped, silentSince, silent }
+        this._timer = setInterval(() => this._frame(), options.intervalMs);
+    }
+
+    _sample(id, value, now) {
+        const { min, max, clipDb, silenceDb, averageMs } = this.options;
+        const level = conversions.apiToMeter(value, { min, max });
+        let state = this._state.get(id);
+        if (!state) {
+            state = {
+                peakValue: level,
+                peakAt: now,
+                samples: [],
+                clipped: false,
+                silentSince: undefined,
+                silent: false,
+            };
+            this._state.set(id, state);
+        }
+        state.current = level;
+        if (level >= this._peak(state, now)) {
+            state.peakValue = level;
+            state.peakAt = now;
+        }
+
+        // keep one sample from before the averaging window since its level carries into the window
+        state.samples.push({ t: now, level });
+        while (state.samples.length > 1 && state.samples[1].t <= now - averageMs) state.samples.shift();
+
+        if (level >= clipDb && !state.clipped) {
+            state.clipped = true;
+            this.emit('clip', { id, level });
+        } else if (level < clipDb) state.clipped = false;
+
+        if (level > silenceDb) {
+            if (state.silent) this.emit('signal', { id, level });
+            state.silent = false;
+            state.silentSince = undefined;
+        } else if (state.silentSince === undefined) state.silentSince = now;
+    }
+
+    _peak(state, now) {
+        const { peakHoldMs, decayDbPerSec } = this.options;
+        const held = now - state.peakAt;
+        if (held <= peakHoldMs) return state.peakValue;
+        return Math.max(state.current, state.peakValue - (decayDbPerSec * (held - peakHoldMs)) / 1000);
+    }
+
+    // time-weighted power average over the averaging window, each level holding until the next push
+    _rms(state, now) {
+        const start = now - this.options.averageMs;
+        let energy = 0;
+        let duration = 0;
+        state.samples.forEach((sample, i) => {
+            const from = Math.max(sample.t, start);
+            const to = i + 1 < state.samples.length ? state.samples[i + 1].t : now;
+            if (to <= from) return;
+            energy += Math.pow(10, sample.level / 10) * (to - from);
+            duration += to - from;
+        });
+        if (duration === 0) return state.current;
+        return Math.round(10 * Math.log10(energy / duration) * 10) / 10;
+    }
+
+    _frame() {
+        if (this._state.size === 0) return;
+        const now = Date.now();
+        const { silenceMs } = this.options;
+        const meters = [];
+        this._state.forEach((state, id) => {
+            if (state.silentSince !== undefined && !state.silent && now - state.silentSince >= silenceMs) {
+                state.silent = true;
+                this.emit('silence', { id, level: state.current });
+            }
+            const peak = Math.round(this._peak(state, now) * 10) / 10;
+            meters.push({ id, current: state.current, peak, rms: this._rms(state, now) });
+        });
+        this.emit('frame', { time: now, meters });
+    }
+
+    /**
+     * Stops the frames and disables push for meters that no other subscription is using
+     * @return {Promise}
+     */
+    unsubscribe() {
+        clearInterval(this._timer);
+        return this._meters._unsubscribe(this);
+    }
+}
+
+/**
+ * Meter subscriptions for a Symetrix instance, available as `sym.meters`
+ */
+class Meters {
+    constructor(sym) {
+        this.sym = sym;
+        this._subscriptions = new Set();
+        sym.on('push', (values) => this._onPush(values));
+    }
+
+    _onPush(values) {
+        if (this._subscriptions.size === 0) return;
+        const now = Date.now();
+        values.forEach(({ id, value }) => {
+            this._subscriptions.forEach((sub) => {
+                if (sub._ids.has(id)) sub._sample(id, value, now);
+            });
+        });
+    }
+
+    /**
+     * Subscribes to a set of meters. Push is enabled on the device for the meters, the meter push threshold
+     * and the push interval are set, and the meters are refreshed so the first frame has every level.
+     * The threshold and interval apply to the whole connection so the most recent subscription's win
+     * @param {Array} ids - meter control IDs and/or `{ low, high }` ranges
+     * @param {object} [options]
+     * @param {number} [options.intervalMs] - time between frames and the device push interval, defaults to 100
+     * @param {number} [options.thresholdDb] - the change in dB before the device pushes a meter again
+     * @param {number} [options.min] - the dBu value of API value 0, defaults to -48
+     * @param {number} [options.max] - the dBu value of API value 65535, defaults to 24
+     * @param {number} [options.peakHoldMs] - how long a peak is held before it decays, defaults to 1000
+     * @param {number} [options.decayDbPerSec] - how fast a peak falls after it is held, defaults to 20
+     * @param {number} [options.averageMs] - the rms averaging window, defaults to 300
+     * @param {number} [options.clipDb] - the level that counts as clipping, defaults to max
+     * @param {number} [options.silenceDb] - the level at or below which a meter is silent, defaults to min
+     * @param {number} [options.silenceMs] - how long a meter must be silent before silence is emitted, defaults to
+     * 10000
+     * @return {Promise} resolves with the MeterSubscription
+     */
+    async subscribe(ids, options = {}) {
+        const { min = -48, max = 24 } = options;
+        const opts = {
+            intervalMs: 100,
+            thresholdDb: undefined,
+            peakHoldMs: 1000,
+            decayDbPerSec: 20,
+            averageMs: 300,
+            clipDb: max,
+            silenceDb: min,
+            silenceMs: 10000,
+            ...options,
+            min,
+            max,
+        };
+        const idRanges = ranges.toRanges(ids);
+        if (idRanges.length === 0) throw Error('meters.subscribe needs at least one meter');
+
+        const sym = this.sym;
+        if (typeof opts.thresholdDb === 'number') {
+            const meter = Math.max(1, Math.round((opts.thresholdDb * 65535) / (max - min)));
+            const current = sym.pushSettings.threshold;
+            await sym.pushThreshold({ meter, other: current ? current.other : 1 });
+        }
+        await sym.pushInterval(Math.min(Math.max(Math.round(opts.intervalMs), 20), 30000));
+        await sym.acquirePush(idRanges);
+
+        const sub = new MeterSubscription(this, idRanges, opts);
+        this._subscriptions.add(sub);
+
+        try {
+            for (const { low, high } of idRanges) await sym.pushRefresh({ low, high });
+        } catch (err) {
+            // the caller never gets the subscription so it has to be undone here
+            await sub.unsubscribe().catch(() => {});
+            throw err;
+        }
+        return sub;
+    }
+
+    /**
+     * Stops the frames of every subscription, leaving push as it is. Called when the instance is destroyed
+     */
+    close() {
+        this._subscriptions.forEach((sub) => clearInterval(sub._timer));
+        this._subscriptions.clear();
+    }
+
+    async _unsubscribe(sub) {
+        if (!this._subscriptions.delete(sub)) return;
+        await this.sym.releasePush(sub.ids);
+    }
+}
+
+module.exports = { Meters, MeterSubscription };
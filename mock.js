@@ -0,0 +1,484 @@
+const net = require('net');
+const dgram = require('dgram');
+const EventEmitter = require('events');
+
+const apiMax = 65535;
+const maxControlId = 10000;
+const udpMaxDatagram = 8192;
+
+const pad5 = (n) => String(n).padStart(5, '0');
+
+function inRanges(id, ranges) {
+    return ranges.some(({ low, high }) => id >= low && id <= high);
+}
+
+/**
+ * A simulated Composer Control endpoint for offline development and testing.
+ * Listens on TCP and UDP (48631 by default) and answers every command in the `commands` table of api.js
+ * from an in-memory store of control values, presets and system strings.
+ *
+ * Each client connection keeps its own push configuration just like a real unit: the enabled ranges,
+ * the push interval and the parameter/meter thresholds. Any change to a control value, whether it came
+ * from a client or from setControl(), is pushed to every connection that has push enabled for that ID
+ * as `#nnnnn=nnnnn` lines once per push interval.
+ *
+ * Faults can be injected to exercise the client's error handling, either deterministically for the
+ * next N replies with injectFault() or randomly with setFaults():
+ * - drop: the reply is never sent
+ * - split: the reply is written in two chunks a few milliseconds apart
+ * - nak: the command is answered with NAK regardless of its validity
+ * - glue: an unsolicited push line is written in front of the reply in the same chunk
+ */
+class MockSymetrix extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.port] - the TCP port to listen on, defaults to 48631. Use 0 for a random port
+     * @param {string} [options.host] - the address to bind to, defaults to 127.0.0.1
+     * @param {object} [options.controls] - initial control values keyed by control ID
+     * @param {object} [options.presets] - control values applied when a preset is loaded, keyed by preset number
+     * @param {object} [options.strings] - initial system strings keyed by resource
+     * @param {Array} [options.meters] - control ID ranges `{ low, high }` that use the meter push threshold
+     * @param {number} [options.latency] - milliseconds to wait before answering each command, defaults to 0
+     * @param {boolean} [options.udp] - also answer commands sent as UDP datagrams on the same port, defaults to true
+     * @param {object} [options.info] - the fields GUI answers with, merged over a default model and firmware
+     */
+    constructor({
+        port = 48631,
+        host = '127.0.0.1',
+        controls = {},
+        presets = {},
+        strings = {},
+        meters = [],
+        latency = 0,
+        udp = true,
+        info = {},
+    } = {}) {
+        super();
+        this.port = port;
+        this.host = host;
+        this.latency = latency;
+        this.meters = meters;
+
+        this.controls = new Map(Object.entries(controls).map(([id, value]) => [Number(id), value]));
+        this.presets = presets;
+        this.strings = { ...strings };
+        this.preset = 0;
+        this.info = { MODEL: 'MOCK', FIRMWARE: '7.0.0', HARDWARE_REV: '1', UNIT_NUMBER: '1', ...info };
+
+        this._faults = { drop: 0, split: 0, nak: 0, glue: 0 };
+        this._injected = [];
+        this._clients = new Set();
+
+        this.server = net.createServer((sock) => this._accept(sock));
+        if (udp) {
+            this.udp = dgram.createSocket('udp4');
+            this.udp.on('message', (msg, rinfo) => this._datagram(msg, rinfo));
+            this._udpClients = new Map();
+        }
+    }
+
+    /**
+     * Starts listening for connections
+     * @return {Promise} resolves with the bound port
+     */
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                this.port = this.server.address().port;
+                if (!this.udp) return resolve(this.port);
+                // UDP shares the port that TCP was bound to so a random port works for both
+                this.udp.once('error', reject);
+                this.udp.bind(this.port, this.host, () => {
+                    this.udp.removeListener('error', reject);
+                    resolve(this.port);
+                });
+            });
+        });
+    }
+
+    /**
+     * Drops every client connection and stops listening
+     * @return {Promise}
+     */
+    close() {
+        return new Promise((resolve) => {
+            this.dropClients();
+            if (this.udp) this.udp.close();
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Destroys every open client connection without stopping the server, e.g. to simulate a network outage
+     */
+    dropClients() {
+        for (const client of [...this._clients]) client.sock.destroy();
+    }
+
+    /**
+     * Sets the probability (0-1) of each fault type being applied to a reply
+     * @param {object} faults
+     * @param {number} [faults.drop] - probability that a reply is dropped
+     * @param {number} [faults.split] - probability that a reply is split across two writes
+     * @param {number} [faults.nak] - probability that a command is answered with NAK
+     * @param {number} [faults.glue] - probability that a push is glued in front of a reply
+     */
+    setFaults(faults = {}) {
+        this._faults = { ...this._faults, ...faults };
+    }
+
+    /**
+     * Applies a fault to the next `count` replies
+     * @param {string} type - one of drop, split, nak or glue
+     * @param {number} [count] - the number of replies to apply the fault to, defaults to 1
+     */
+    injectFault(type, count = 1) {
+        if (!(type in this._faults)) throw new Error(`MockSymetrix unknown fault ${type}`);
+        for (let i = 0; i < count; i++) this._injected.push(type);
+    }
+
+    /**
+     * Returns the stored value of a control, controls that have never been set read as 0
+     * @param {number} id - the control ID
+     * @return {number}
+     */
+    getControl(id) {
+        return this.controls.get(id) || 0;
+    }
+
+    /**
+     * Changes a control value as if it were moved from the front panel or another controller
+     * @param {number} id - the control ID
+     * @param {number} value - the new value, clamped to [0,65535]
+     */
+    setControl(id, value) {
+        value = Math.min(Math.max(Math.round(value), 0), apiMax);
+        const previous = this.getControl(id);
+        this.controls.set(id, value);
+        if (previous !== value) this.emit('change', { id, value, previous });
+    }
+
+    _addClient(sock) {
+        const client = {
+            sock,
+            buffer: '',
+            push: [], // enabled ranges { low, high }
+            pushed: new Map(), // last value pushed per control ID
+            interval: 100,
+            threshold: { param: 1, meter: 1 },
+            echo: false, // set with EH, applies to commands without a $q or $e prefix
+            timer: undefined,
+            chain: Promise.resolve(),
+        };
+        this._clients.add(client);
+        this._schedulePush(client);
+        this.emit('connection', sock);
+        return client;
+    }
+
+    _removeClient(client) {
+        clearTimeout(client.timer);
+        this._clients.delete(client);
+    }
+
+    _accept(sock) {
+        sock.setEncoding('utf8');
+        const client = this._addClient(sock);
+        sock.on('data', (data) => this._receive(client, data));
+        sock.on('error', () => {});
+        sock.on('close', () => this._removeClient(client));
+    }
+
+    /**
+     * UDP has no connections so a client is created for each new source address and port, with a
+     * socket-like wrapper so replies and pushes are sent back to where the commands came from
+     */
+    _datagram(msg, rinfo) {
+        const key = `${rinfo.address}:${rinfo.port}`;
+        let client = this._udpClients.get(key);
+        if (!client) {
+            const sock = {
+                destroyed: false,
+                write: (data) => {
+                    // keep datagrams well under the UDP size limit, breaking only between lines
+                    let chunk = '';
+                    data.split(/(?<=\r)/).forEach((line) => {
+                        if (chunk && chunk.length + line.length > udpMaxDatagram) {
+                            this.udp.send(chunk, rinfo.port, rinfo.address);
+                            chunk = '';
+                        }
+                        chunk += line;
+                    });
+                    if (chunk) this.udp.send(chunk, rinfo.port, rinfo.address);
+                },
+                destroy: () => {
+                    sock.destroyed = true;
+                    this._udpClients.delete(key);
+                    this._removeClient(client);
+                },
+            };
+            client = this._addClient(sock);
+            this._udpClients.set(key, client);
+        }
+        this._receive(client, msg.toString('utf8'));
+    }
+
+    _receive(client, data) {
+        client.buffer += data;
+        const lines = client.buffer.split(/\r\n?|\n/);
+        client.buffer = lines.pop();
+        lines.forEach((line) => {
+            if (line.trim() === '') return;
+            // commands on a connection are answered strictly in order
+            client.chain = client.chain.then(() => this._handle(client, line.trim()));
+        });
+    }
+
+    _handle(client, line) {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                if (!client.sock.destroyed) this._reply(client, line);
+                resolve();
+            }, this.latency);
+        });
+    }
+
+    _nextFault() {
+        if (this._injected.length > 0) return this._injected.shift();
+        return Object.keys(this._faults).find((type) => Math.random() < this._faults[type]);
+    }
+
+    _reply(client, line) {
+        this.emit('command', line);
+        let echo = client.echo;
+        const prefix = line.match(/^\$([qe])\s*/);
+        if (prefix) {
+            echo = prefix[1] === 'e';
+            line = line.slice(prefix[0].length);
+        }
+        const fault = this._nextFault();
+        if (fault === 'drop') return;
+
+        let reply;
+        let after;
+        if (fault === 'nak') reply = 'NAK\r';
+        else ({ reply, after } = this._execute(client, line));
+
+        if (echo) reply = `${line}\r${reply}`;
+        if (fault === 'glue') {
+            const id = client.push.length > 0 ? client.push[0].low : 1;
+            reply = `#${pad5(id)}=${pad5(this.getControl(id))}\r${reply}`;
+        }
+
+        if (fault === 'split' && reply.length > 1) {
+            const at = 1 + Math.floor(Math.random() * (reply.length - 1));
+            // a device never writes a push part way through a line so pushes wait for the rest of the reply
+            client.splitting = true;
+            client.sock.write(reply.slice(0, at));
+            setTimeout(() => {
+                client.splitting = false;
+                if (client.sock.destroyed) return;
+                client.sock.write(reply.slice(at));
+                if (after) after();
+            }, 5);
+        } else {
+            client.sock.write(reply);
+            if (after) after();
+        }
+    }
+
+    /**
+     * Runs a single command against the in-memory store
+     * @return {object} the reply string and an optional function to run once the reply is written
+     */
+    _execute(client, line) {
+        const ACK = { reply: 'ACK\r' };
+        const NAK = { reply: 'NAK\r' };
+        const [cmd, ...rest] = line.split(' ');
+        const args = rest.map(Number);
+        const validId = (id) => Number.isInteger(id) && id >= 1 && id <= maxControlId;
+        const validRange = (low, high) => validId(low) && validId(high) && low <= high;
+
+        switch (cmd.toUpperCase()) {
+            case 'CS': {
+                const [id, value] = args;
+                if (!validId(id) || !Number.isInteger(value) || value < 0 || value > apiMax) return NAK;
+                this.setControl(id, value);
+                return ACK;
+            }
+            case 'CC': {
+                const [id, inc, value] = args;
+                if (!validId(id) || (inc !== 0 && inc !== 1) || !Number.isInteger(value)) return NAK;
+                this.setControl(id, this.getControl(id) + (inc === 1 ? value : -value));
+                return ACK;
+            }
+            case 'GS2': {
+                const [id] = args;
+                if (!validId(id)) return NAK;
+                return { reply: `${id} ${this.getControl(id)}\r` };
+            }
+            case 'GS': {
+                const [id] = args;
+                if (!validId(id)) return NAK;
+                return { reply: `${this.getControl(id)}\r` };
+            }
+            case 'GSB': {
+                const [id, size] = args;
+                if (!validId(id) || !Number.isInteger(size) || size < 1 || size > 256) return NAK;
+                let reply = '';
+                for (let i = id; i < id + size; i++) reply += `${this.getControl(i)}\r`;
+                return { reply };
+            }
+            case 'GSB2': {
+                const [id, size] = args;
+                if (!validId(id) || !Number.isInteger(size) || size < 1 || size > 256) return NAK;
+                let reply = '';
+                for (let i = id; i < id + size; i++) reply += `${i} ${this.getControl(i)}\r`;
+                return { reply };
+            }
+            case 'GSB3': {
+                const [id, size] = args;
+                if (!validId(id) || !Number.isInteger(size) || size < 1 || size > 256) return NAK;
+                let reply = `GSB3 ${pad5(id)} ${pad5(size)}\r`;
+                for (let i = id; i < id + size; i++) reply += `#${pad5(i)}=${pad5(this.getControl(i))}\r`;
+                return { reply };
+            }
+            case 'GPR':
+                return { reply: `${this.preset}\r` };
+            case 'LP': {
+                const [id] = args;
+                if (!Number.isInteger(id) || id < 1 || id > 1000) return NAK;
+                this.preset = id;
+                const values = this.presets[id] || {};
+                Object.entries(values).forEach(([cid, value]) => this.setControl(Number(cid), value));
+                this.emit('preset', id);
+                return ACK;
+            }
+            case 'SSYSS': {
+                const assignment = rest.join(' ');
+                const eq = assignment.indexOf('=');
+                if (eq < 1) return NAK;
+                this.strings[assignment.slice(0, eq)] = assignment.slice(eq + 1);
+                return ACK;
+            }
+            case 'GSYSS': {
+                const resource = rest.join(' ');
+                if (!(resource in this.strings)) return NAK;
+                return { reply: `GSYSS ${this.strings[resource]}\r` };
+            }
+            case 'FU':
+                this.emit('flash');
+                return ACK;
+            case 'NOP':
+                return ACK;
+            case 'EH': {
+                const [value] = args;
+                if (value !== 0 && value !== 1) return NAK;
+                client.echo = value === 1;
+                return ACK;
+            }
+            case 'GUI': {
+                const fields = Object.entries(this.info).map(([key, value]) => `${key}=${value}\r`);
+                return { reply: `${fields.join('')}ACK\r` };
+            }
+            case 'PUE':
+            case 'PUD': {
+                const [low = 1, high = maxControlId] = args;
+                if (!validRange(low, high)) return NAK;
+                if (cmd.toUpperCase() === 'PUE') {
+                    // only changes made after push is enabled are reported
+                    for (let id = low; id <= high; id++)
+                        if (!inRanges(id, client.push)) client.pushed.set(id, this.getControl(id));
+                    client.push.push({ low, high });
+                } else client.push = this._removeRange(client.push, low, high);
+                return ACK;
+            }
+            case 'GPU': {
+                const [low = 1, high = maxControlId] = args;
+                if (!validRange(low, high)) return NAK;
+                let reply = '';
+                for (let id = low; id <= high; id++) if (inRanges(id, client.push)) reply += `${pad5(id)}\r`;
+                return { reply: `${reply}ACK\r` };
+            }
+            case 'PUR': {
+                const [low = 1, high = maxControlId] = args;
+                if (!validRange(low, high)) return NAK;
+                // forget what was pushed so the next push sends everything in the range
+                for (let id = low; id <= high; id++) client.pushed.delete(id);
+                return { reply: 'ACK\r', after: () => this._push(client, { low, high, force: true }) };
+            }
+            case 'PUC': {
+                const [low = 1, high = maxControlId] = args;
+                if (!validRange(low, high)) return NAK;
+                for (let id = low; id <= high; id++) client.pushed.set(id, this.getControl(id));
+                return ACK;
+            }
+            case 'PUI': {
+                const [value] = args;
+                if (!Number.isInteger(value) || value < 20 || value > 30000) return NAK;
+                client.interval = value;
+                clearTimeout(client.timer);
+                this._schedulePush(client);
+                return ACK;
+            }
+            case 'PUT': {
+                const [param, meter] = args;
+                if (!Number.isInteger(param) || !Number.isInteger(meter)) return NAK;
+                client.threshold = { param, meter };
+                return ACK;
+            }
+            case 'R!':
+                this.emit('reboot');
+                // a reboot drops every connection and forgets all push configuration
+                return { reply: 'ACK\r', after: () => setImmediate(() => this.dropClients()) };
+            default:
+                return NAK;
+        }
+    }
+
+    _removeRange(ranges, low, high) {
+        const result = [];
+        ranges.forEach((r) => {
+            if (r.high < low || r.low > high) result.push(r);
+            else {
+                if (r.low < low) result.push({ low: r.low, high: low - 1 });
+                if (r.high > high) result.push({ low: high + 1, high: r.high });
+            }
+        });
+        return result;
+    }
+
+    _schedulePush(client) {
+        client.timer = setTimeout(() => {
+            this._push(client);
+            this._schedulePush(client);
+        }, client.interval);
+    }
+
+    /**
+     * Writes every changed value in the client's enabled push ranges that has moved by at least the
+     * relevant threshold since it was last pushed
+     */
+    _push(client, { low = 1, high = maxControlId, force = false } = {}) {
+        if (client.push.length === 0 || client.sock.destroyed || client.splitting) return;
+        let data = '';
+        const ids = new Set();
+        client.push.forEach((r) => {
+            for (let id = Math.max(r.low, low); id <= Math.min(r.high, high); id++) ids.add(id);
+        });
+        [...ids]
+            .sort((a, b) => a - b)
+            .forEach((id) => {
+                const value = this.getControl(id);
+                const threshold = inRanges(id, this.meters) ? client.threshold.meter : client.threshold.param;
+                if (!force && Math.abs(client.pushed.get(id) - value) < threshold) return;
+                client.pushed.set(id, value);
+                data += `#${pad5(id)}=${pad5(value)}\r`;
+            });
+        if (data) client.sock.write(data);
+    }
+}
+
+module.exports = { MockSymetrix };
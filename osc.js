@@ -0,0 +1,344 @@
+const dgram = require('dgram');
+
+const { conversions, units } = require('./helpers');
+
+const mappingUnits = ['normal', 'dB', 'api', 'on'];
+
+const clamp = (value, low, high) => Math.min(Math.max(value, low), high);
+
+// OSC strings are null terminated and padded to a multiple of 4 bytes
+function encodeString(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    const padded = Buffer.alloc((Math.floor(bytes.length / 4) + 1) * 4);
+    bytes.copy(padded);
+    return padded;
+}
+
+function decodeString(buf, offset) {
+    const end = buf.indexOf(0, offset);
+    if (end < 0) throw new Error('OSC string is not terminated');
+    return { value: buf.toString('utf8', offset, end), offset: (Math.floor((end - offset) / 4) + 1) * 4 + offset };
+}
+
+/**
+ * Encodes an OSC message. Numbers are sent as floats unless `{ type: 'i', value }` is given, booleans as T or F
+ * @param {string} address - the OSC address, starting with /
+ * @param {Array} [args] - numbers, strings, booleans, Buffers (as blobs) or `{ type, value }`
+ * @return {Buffer} the packet
+ */
+function encodeMessage(address, args = []) {
+    let tags = ',';
+    const parts = [];
+    args.forEach((arg) => {
+        const { type, value } = typeof arg === 'object' && !Buffer.isBuffer(arg) ? arg : { value: arg };
+        if (type === 'i') {
+            const b = Buffer.alloc(4);
+            b.writeInt32BE(value);
+            parts.push(b);
+            tags += 'i';
+        } else if (type === 'd') {
+            const b = Buffer.alloc(8);
+            b.writeDoubleBE(value);
+            parts.push(b);
+            tags += 'd';
+        } else if (typeof value === 'number') {
+            const b = Buffer.alloc(4);
+            b.writeFloatBE(value);
+            parts.push(b);
+            tags += 'f';
+        } else if (typeof value === 'string') {
+            parts.push(encodeString(value));
+            tags += 's';
+        } else if (typeof value === 'boolean') {
+            tags += value ? 'T' : 'F';
+        } else if (Buffer.isBuffer(value)) {
+            const size = Buffer.alloc(4);
+            size.writeInt32BE(value.length);
+            parts.push(size, value, Buffer.alloc((4 - (value.length % 4)) % 4));
+            tags += 'b';
+        } else throw new Error(`OSC cannot encode ${JSON.stringify(arg)}`);
+    });
+    return Buffer.concat([encodeString(address), encodeString(tags), ...parts]);
+}
+
+/**
+ * Decodes an OSC packet, flattening bundles (whose time tags are ignored: everything runs on arrival)
+ * @param {Buffer} buf - the packet
+ * @return {Array} `{ address, args }` for each message in the packet
+ */
+function decodePacket(buf) {
+    if (buf.toString('ascii', 0, 8) === '#bundle\0') {
+        const messages = [];
+        let offset = 16;
+        while (offset + 4 <= buf.length) {
+            const size = buf.readInt32BE(offset);
+            if (size < 0 || offset + 4 + size > buf.length) throw new Error('OSC bundle element is truncated');
+            messages.push(...decodePacket(buf.slice(offset + 4, offset + 4 + size)));
+            offset += 4 + size;
+        }
+        return messages;
+    }
+    const address = decodeString(buf, 0);
+    if (!address.value.startsWith('/')) throw new Error(`OSC invalid address ${address.value}`);
+    // type tags are optional in old OSC implementations
+    if (address.offset >= buf.length) return [{ address: address.value, args: [] }];
+    const tags = decodeString(buf, address.offset);
+    if (!tags.value.startsWith(',')) throw new Error(`OSC invalid type tags ${tags.value}`);
+    let offset = tags.offset;
+    const args = [];
+    for (const tag of tags.value.slice(1)) {
+        switch (tag) {
+            case 'i':
+                args.push(buf.readInt32BE(offset));
+                offset += 4;
+                break;
+            case 'f':
+                args.push(buf.readFloatBE(offset));
+                offset += 4;
+                break;
+            case 'd':
+                args.push(buf.readDoubleBE(offset));
+                offset += 8;
+                break;
+            case 'h':
+                args.push(Number(buf.readBigInt64BE(offset)));
+                offset += 8;
+                break;
+            case 's':
+            case 'S': {
+                const s = decodeString(buf, offset);
+                args.push(s.value);
+                offset = s.offset;
+                break;
+            }
+            case 'b': {
+                const size = buf.readInt32BE(offset);
+                args.push(buf.slice(offset + 4, offset + 4 + size));
+                offset += 4 + size + ((4 - (size % 4)) % 4);
+                break;
+            }
+            case 'T':
+                args.push(true);
+                break;
+            case 'F':
+                args.push(false);
+                break;
+            case 'N':
+            case 'I':
+                args.push(null);
+                break;
+            default:
+                throw new Error(`OSC unsupported type tag ${tag}`);
+        }
+    }
+    return [{ address: address.value, args }];
+}
+
+/**
+ * Controls a Symetrix device over OSC (UDP), e.g. from QLab or TouchOSC, and sends pushed values back out
+ * to registered OSC clients. By default, with the prefix `/symetrix`:
+ * - `/symetrix/control/1000 0.5` sets control 1000 from a float between 0 and 1
+ * - `/symetrix/control/1000/db -10` sets it in dB over its fader range
+ * - `/symetrix/preset 3` loads preset 3
+ *
+ * Further addresses can be mapped to controls, by ID or control map name:
+ * {
+ *     '/fohmix/fader/1': { id: 'Lobby Level', unit: 'dB' },  // unit normal (the default), dB, api or on
+ *     '/fohmix/mute/1': { id: 1001, unit: 'on' },
+ * }
+ *
+ * Pushed values are sent to clients on `<prefix>/control/<id>` as floats between 0 and 1, and on every
+ * address mapped to the control in the address's unit. dB values use the control's range from the control map
+ * if it has one, otherwise the mapping's `min` and `max`, otherwise the default fader range.
+ */
+class OscBridge {
+    /**
+     * @param {Symetrix} sym - the instance to control
+     * @param {object} [options]
+     * @param {string} [options.prefix] - the address prefix of the built in addresses, defaults to /symetrix
+     * @param {object} [options.map] - address => `{ id, unit, min, max }` for further addresses
+     * @param {Array} [options.clients] - `{ host, port }` for each OSC client to send pushed values to
+     */
+    constructor(sym, { prefix = '/symetrix', map = {}, clients = [] } = {}) {
+        this.sym = sym;
+        this.prefix = prefix.replace(/\/$/, '');
+        this.socket = undefined;
+        this._map = new Map();
+        this._clients = new Map(); // host:port => { host, port }
+        Object.entries(map).forEach(([address, mapping]) => this.map(address, mapping));
+        clients.forEach(({ host, port }) => this.addClient(host, port));
+
+        this._onPush = (values) => this._sendPushes(values);
+        sym.on('push', this._onPush);
+    }
+
+    /**
+     * Maps an address to a control, replacing any mapping it had
+     * @param {string} address - the OSC address
+     * @param {object} mapping - `{ id, unit, min, max }` where id is a control ID or control map name
+     */
+    map(address, { id, unit = 'normal', min, max }) {
+        if (typeof address !== 'string' || !address.startsWith('/')) throw new Error(`OSC invalid address ${address}`);
+        if (!mappingUnits.includes(unit)) throw new Error(`OSC invalid unit ${unit} for ${address}`);
+        if (!(Number.isInteger(id) && id >= 1 && id <= 10000) && typeof id !== 'string')
+            throw new Error(`OSC invalid control ${id} for ${address}`);
+        this._map.set(address, { id, unit, min, max });
+    }
+
+    /**
+     * @param {string} address - the OSC address
+     * @return {boolean} true if the address was mapped
+     */
+    unmap(address) {
+        return this._map.delete(address);
+    }
+
+    /**
+     * @param {string} host - the client's address
+     * @param {number} port - the UDP port it listens on
+     */
+    addClient(host, port) {
+        if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`OSC invalid client port ${port}`);
+        this._clients.set(`${host}:${port}`, { host, port });
+    }
+
+    /**
+     * @param {string} host - the client's address
+     * @param {number} port - the UDP port it listens on
+     * @return {boolean} true if the client was registered
+     */
+    removeClient(host, port) {
+        return this._clients.delete(`${host}:${port}`);
+    }
+
+    /**
+     * Starts listening for OSC messages
+     * @param {number} [port] - the UDP port to listen on, defaults to any free port
+     * @param {string} [host] - the address to listen on, defaults to all
+     * @return {Promise} resolves with the port once the socket is bound
+     */
+    listen(port = 0, host) {
+        this.socket = dgram.createSocket('udp4');
+        this.socket.on('message', (msg) => this.handle(msg));
+        return new Promise((resolve, reject) => {
+            this.socket.once('error', reject);
+            this.socket.bind(port, host, () => {
+                this.socket.removeListener('error', reject);
+                this.socket.on('error', (err) => console.error('Symetrix OSC socket error:', err.message));
+                resolve(this.socket.address().port);
+            });
+        });
+    }
+
+    /**
+     * Stops listening and sending
+     * @return {Promise} resolves once the socket is closed
+     */
+    close() {
+        this.sym.removeListener('push', this._onPush);
+        if (!this.socket) return Promise.resolve();
+        const socket = this.socket;
+        this.socket = undefined;
+        return new Promise((resolve) => socket.close(() => resolve()));
+    }
+
+    /**
+     * Handles one OSC packet, so packets received elsewhere can be passed in
+     * @param {Buffer} packet - the packet
+     * @return {Promise} resolves once every message in it has been handled
+     */
+    async handle(packet) {
+        let messages;
+        try {
+            messages = decodePacket(packet);
+        } catch (err) {
+            console.error('Symetrix OSC ignored a packet:', err.message);
+            return;
+        }
+        for (const { address, args } of messages) {
+            await this._message(address, args).catch((err) => {
+                console.error(`Symetrix OSC ${address} failed:`, err.message);
+            });
+        }
+    }
+
+    /**
+     * @param {number|string} id - a control ID or control map name
+     * @param {object} mapping - the mapping's min and max, if any
+     * @return {object} `{ id, range }` with the numeric ID and the control's dB range
+     */
+    _resolve(id, { min, max } = {}) {
+        const definition = this.sym.controlMap && this.sym.controlMap.get(id);
+        if (typeof id === 'string') {
+            if (!definition) throw new Error(`control ${id} is not in the control map`);
+            id = definition.id;
+        }
+        const range = {};
+        if (definition && typeof definition.min === 'number') range.min = definition.min;
+        else if (typeof min === 'number') range.min = min;
+        if (definition && typeof definition.max === 'number') range.max = definition.max;
+        else if (typeof max === 'number') range.max = max;
+        return { id, range };
+    }
+
+    async _message(address, args) {
+        const value = args[0];
+        if (address === `${this.prefix}/preset`) {
+            if (typeof value !== 'number') throw new Error('needs a preset number');
+            return this.sym.loadPreset(Math.round(value));
+        }
+        const mapping = this._map.get(address) || this._builtIn(address);
+        if (!mapping) throw new Error('is not mapped to a control');
+        const { id, range } = this._resolve(mapping.id, mapping);
+        return this.sym.controlSet(id, this._toAPI(value, mapping.unit, range));
+    }
+
+    // the mapping for a /<prefix>/control/<id>[/db] address, if it is one
+    _builtIn(address) {
+        if (!address.startsWith(`${this.prefix}/control/`)) return undefined;
+        const m = address.slice(this.prefix.length).match(/^\/control\/(\d+)(\/db)?$/i);
+        if (!m) return undefined;
+        return { id: Number(m[1]), unit: m[2] ? 'dB' : 'normal' };
+    }
+
+    _toAPI(value, unit, range) {
+        if (unit === 'on') {
+            if (typeof value === 'boolean') return value ? 65535 : 0;
+            if (typeof value === 'number') return value > 0 ? 65535 : 0;
+            throw new Error('needs a number or boolean');
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error('needs a number');
+        if (unit === 'dB') return clamp(conversions.dBToAPI(value, range), 0, 65535);
+        if (unit === 'api') return clamp(Math.round(value), 0, 65535);
+        return conversions.normalToAPI(clamp(value, 0, 1));
+    }
+
+    _fromAPI(value, unit, range) {
+        if (unit === 'normal') return conversions.apiToNormal(value);
+        if (unit === 'api') return { type: 'i', value };
+        return units.fromAPI(value, unit, range);
+    }
+
+    _sendPushes(values) {
+        if (!this.socket || this._clients.size === 0) return;
+        const packets = [];
+        values.forEach(({ id, value }) => {
+            packets.push(encodeMessage(`${this.prefix}/control/${id}`, [conversions.apiToNormal(value)]));
+            this._map.forEach((mapping, address) => {
+                let resolved;
+                try {
+                    resolved = this._resolve(mapping.id, mapping);
+                } catch (err) {
+                    return; // a name the control map does not have (any more) matches nothing
+                }
+                if (resolved.id !== id) return;
+                packets.push(encodeMessage(address, [this._fromAPI(value, mapping.unit, resolved.range)]));
+            });
+        });
+        this._clients.forEach(({ host, port }) => {
+            packets.forEach((packet) => this.socket.send(packet, port, host));
+        });
+    }
+}
+
+module.exports = { OscBridge, encodeMessage, decodePacket };
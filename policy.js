@@ -0,0 +1,263 @@
+const EventEmitter = require('events');
+
+const { getCommand } = require('./api');
+const { PolicyError } = require('./errors');
+const { conversions, ranges, validation } = require('./helpers');
+
+const units = ['api', 'dB'];
+const modes = ['reject', 'clamp'];
+const defaultRange = { min: -72, max: 12 };
+
+/*
+ * Policies are plain objects so they can be kept in a JSON file. A control policy limits writes to controls:
+ * {
+ *     name: 'zone levels',
+ *     ids: [1000, { low: 1100, high: 1120 }],  // the controls it covers
+ *     unit: 'dB',                              // the unit of min, max and maxStep, api (the default) or dB
+ *     range: { min: -72, max: 12 },            // with unit dB, the fader range in dB, defaults to -72 to 12
+ *     min: -60,                                // the lowest value a write may leave the control at
+ *     max: -6,                                 // the highest value a write may leave the control at
+ *     maxStep: 6,                              // the most a single write may move the control by
+ *     readOnly: false,                         // true to refuse every write
+ *     mode: 'reject',                          // or clamp to bring writes within min, max and maxStep instead
+ * }
+ *
+ * A preset policy guards loading presets:
+ * {
+ *     name: 'show presets',
+ *     presets: [10, { low: 20, high: 29 }],    // the presets it covers
+ *     confirm: true,                           // loading needs confirmation, see PolicyEngine.confirm
+ * }
+ */
+
+function checkList(name, list, valid, what) {
+    if (!Array.isArray(list) || list.length === 0) throw new Error(`policy ${name} needs a list of ${what}`);
+    list.forEach((item) => {
+        const ok = typeof item === 'number' ? valid(item) : item && valid(item.low) && valid(item.high);
+        if (!ok || (typeof item === 'object' && item.low > item.high))
+            throw new Error(`policy ${name} invalid ${what} ${JSON.stringify(item)}`);
+    });
+    return ranges.toRanges(list);
+}
+
+/**
+ * Checks a policy and converts its limits to API values
+ * @param {object} policy - the policy, see above
+ * @return {object} the checked policy
+ */
+function parsePolicy(policy) {
+    const { name, ids, presets, unit = 'api', range = defaultRange, mode = 'reject', readOnly = false } = policy;
+    if (typeof name !== 'string' || name === '') throw new Error('policy needs a name');
+    if (!ids === !presets) throw new Error(`policy ${name} needs either ids or presets`);
+    if (presets) {
+        const covered = checkList(name, presets, (id) => Number.isInteger(id) && id >= 1 && id <= 1000, 'presets');
+        return { name, presets: covered, confirm: Boolean(policy.confirm) };
+    }
+
+    const covered = checkList(name, ids, (id) => Number.isInteger(id) && validation.validControlId(id), 'ids');
+    if (!units.includes(unit)) throw new Error(`policy ${name} invalid unit ${unit}`);
+    if (!modes.includes(mode)) throw new Error(`policy ${name} invalid mode ${mode}`);
+    if (unit === 'dB' && !(range.min < range.max)) throw new Error(`policy ${name} invalid range`);
+    const toAPI = (value, relative = false) => {
+        if (typeof value !== 'number') throw new Error(`policy ${name} invalid limit ${value}`);
+        const api = unit === 'dB' ? conversions.dBToAPI(value, { ...range, relative }) : value;
+        if (!validation.validRange(api, relative ? 1 : 0, 65535))
+            throw new Error(`policy ${name} limit ${value} is out of range`);
+        return api;
+    };
+    const min = policy.min === undefined ? undefined : toAPI(policy.min);
+    const max = policy.max === undefined ? undefined : toAPI(policy.max);
+    if (min !== undefined && max !== undefined && min > max) throw new Error(`policy ${name} min is above max`);
+    const maxStep = policy.maxStep === undefined ? undefined : toAPI(policy.maxStep, true);
+    return { name, ids: covered, unit, range, mode, readOnly: Boolean(readOnly), min, max, maxStep };
+}
+
+const covers = (list, id) => list.some(({ low, high }) => id >= low && id <= high);
+
+/**
+ * Write policies that every controlSet, controlChange and loadPreset is checked against before it is queued,
+ * available as `sym.policies`. Since everything else that writes (controls, ramps, links, rules, the scheduler and
+ * the bridges) goes through those methods it is covered too.
+ *
+ * A write that breaks a policy is rejected with PolicyError, or in clamp mode brought within the limits and sent.
+ * Read only controls and unconfirmed presets are always rejected. Writes to controls without a policy are queued
+ * straight away, as before; with one, checking a step or the result of a change may need the control's current
+ * value, which is read from the device if it is not cached.
+ *
+ * Events:
+ * - violation: `{ policy, rule, id, preset, value, limit, action }` for each rule that fired, where rule is one of
+ *   min, max, maxStep, readOnly or confirm, value and limit are in the policy's unit and action is clamped or
+ *   rejected
+ */
+class PolicyEngine extends EventEmitter {
+    constructor(sym) {
+        super();
+        this.sym = sym;
+        // called with { policy, preset } to ask whether a preset that needs confirmation should load, resolving
+        // with true to load it. Without it those presets only load with the confirmed option of loadPreset()
+        this.confirm = undefined;
+        this._policies = new Map(); // name => checked policy
+    }
+
+    /**
+     * Adds a policy, replacing any policy with the same name
+     * @param {object} policy - the policy, see policy.js
+     */
+    add(policy) {
+        const parsed = parsePolicy(policy);
+        this._policies.set(parsed.name, parsed);
+    }
+
+    /**
+     * Adds policies from JSON
+     * @param {string|Array|object} json - an array of policies, or `{ policies: [] }`, or either as JSON text
+     */
+    load(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const policies = Array.isArray(data) ? data : data.policies;
+        if (!Array.isArray(policies)) throw new Error('policies JSON needs an array of policies');
+        // check every policy first so a bad file adds none of them
+        policies.forEach(parsePolicy);
+        policies.forEach((policy) => this.add(policy));
+    }
+
+    /**
+     * @param {string} name - the policy name
+     * @return {boolean} true if there was a policy to remove
+     */
+    remove(name) {
+        return this._policies.delete(name);
+    }
+
+    clear() {
+        this._policies.clear();
+    }
+
+    /**
+     * @return {Array} the names of the policies
+     */
+    list() {
+        return [...this._policies.keys()];
+    }
+
+    /**
+     * @param {number} id - the control ID
+     * @return {boolean} true if writes to the control have to be checked
+     */
+    coversControl(id) {
+        return this._forControl(id).length > 0;
+    }
+
+    /**
+     * @param {number} id - the preset number
+     * @return {boolean} true if loading the preset has to be checked
+     */
+    coversPreset(id) {
+        return [...this._policies.values()].some((p) => p.presets && covers(p.presets, id));
+    }
+
+    /**
+     * Checks a write against every policy covering the control
+     * @param {string} command - controlSet or controlChange
+     * @param {number} id - the control ID
+     * @param {number} value - the value to set, or the amount to change by, in API units
+     * @return {Promise} resolves with the value or amount to send, which is only different when clamped, and
+     * rejects with PolicyError
+     */
+    async checkWrite(command, id, value) {
+        const policies = this._forControl(id);
+        const change = command === 'controlChange';
+        const sent = getCommand(change ? 'changeController' : 'controlSet', { id, value }).command;
+        const readOnly = policies.find((p) => p.readOnly);
+        if (readOnly) {
+            const shown = this._toUnit(readOnly, value, change);
+            this._violation(readOnly, 'readOnly', { id, value: shown }, sent, `control ${id} is read only`);
+        }
+
+        // limits on a change apply to where it leaves the control, and a step limit on a set to how far it moves it
+        const needsCurrent = policies.some((p) =>
+            change ? p.min !== undefined || p.max !== undefined : p.maxStep !== undefined
+        );
+        let current;
+        if (needsCurrent) {
+            current = this.sym.isStale(id) ? Number(await this.sym.controlGet(id)) : this.sym.getCached(id);
+        }
+        let step = change ? value : value - current;
+        let target = change ? Math.min(Math.max(current + value, 0), 65535) : value;
+
+        policies.forEach((policy) => {
+            const { maxStep, min, max } = policy;
+            const unit = policy.unit === 'dB' ? ' dB' : '';
+            const fire = (rule, shown, limit, message) =>
+                this._violation(policy, rule, { id, value: shown, limit }, sent, `control ${id} ${message}`);
+            if (maxStep !== undefined && Math.abs(step) > maxStep) {
+                const [shown, limit] = [step, maxStep].map((v) => this._toUnit(policy, v, true));
+                fire('maxStep', shown, limit, `step of ${shown}${unit} is more than the max step of ${limit}${unit}`);
+                step = Math.sign(step) * maxStep;
+                target = current + step;
+            }
+            if (min !== undefined && target < min) {
+                const [shown, limit] = [target, min].map((v) => this._toUnit(policy, v));
+                fire('min', shown, limit, `value ${shown}${unit} is below the min of ${limit}${unit}`);
+                target = min;
+                step = target - current;
+            }
+            if (max !== undefined && target > max) {
+                const [shown, limit] = [target, max].map((v) => this._toUnit(policy, v));
+                fire('max', shown, limit, `value ${shown}${unit} is above the max of ${limit}${unit}`);
+                target = max;
+                step = target - current;
+            }
+        });
+        return change ? step : target;
+    }
+
+    /**
+     * Checks loading a preset against every policy covering it
+     * @param {number} id - the preset number
+     * @param {boolean} [confirmed] - true if the caller has already confirmed loading it
+     * @return {Promise} rejects with PolicyError if the preset needs confirmation and does not get it
+     */
+    async checkPreset(id, confirmed = false) {
+        for (const policy of this._policies.values()) {
+            if (confirmed || !policy.presets || !policy.confirm || !covers(policy.presets, id)) continue;
+            if (this.confirm) confirmed = Boolean(await this.confirm({ policy: policy.name, preset: id }));
+            if (!confirmed) {
+                const sent = getCommand('loadPreset', { value: id }).command;
+                this._violation(policy, 'confirm', { preset: id }, sent, `preset ${id} needs confirmation`);
+            }
+        }
+    }
+
+    _forControl(id) {
+        return [...this._policies.values()].filter((p) => p.ids && covers(p.ids, id));
+    }
+
+    _toUnit({ unit, range }, value, relative = false) {
+        if (unit !== 'dB') return value;
+        if (relative) return Math.round((value / 65535) * (range.max - range.min) * 10) / 10;
+        return conversions.apiTodB(value, range);
+    }
+
+    /**
+     * Reports a rule that fired, throwing PolicyError unless the write can be clamped
+     * @param {object} policy - the policy the rule belongs to
+     * @param {string} rule - the rule that fired
+     * @param {object} details - `{ id, preset, value, limit }` for the violation event
+     * @param {string} command - the command that would have been sent
+     * @param {string} message - what was wrong
+     */
+    _violation(policy, rule, details, command, message) {
+        const clamped = policy.mode === 'clamp' && rule !== 'readOnly' && rule !== 'confirm';
+        this.emit('violation', { policy: policy.name, rule, ...details, action: clamped ? 'clamped' : 'rejected' });
+        if (clamped) return;
+        throw new PolicyError(`Symetrix policy ${policy.name}: ${message}`, {
+            command,
+            id: details.id,
+            policy: policy.name,
+            rule,
+        });
+    }
+}
+
+module.exports = { PolicyEngine, parsePolicy };
@@ -0,0 +1,179 @@
+const { validation } = require('./helpers');
+
+const modes = ['auto', 'poll'];
+
+/**
+ * Reads ranges of controls periodically for deployments where push cannot be used, and emits the changes it
+ * finds as `push` events on the Symetrix instance, so everything that listens for pushes (the cache, watchers,
+ * rules, links and bridges) works the same either way. The values read reach the cache, and so its change events
+ * and watchers, with source poll. Available as `sym.poller`.
+ *
+ * A range in auto mode asks the device to push it on every connect and is only polled while that fails, e.g.
+ * because push is turned off for the control port. A range in poll mode is always polled.
+ *
+ * Reads run at background priority and each range adapts its interval: halving it (down to `minIntervalMs`)
+ * after a read that found changes and growing it by half (up to `maxIntervalMs`) after one that did not.
+ * The first read of a range sets the values later reads are compared against.
+ */
+class Poller {
+    constructor(sym) {
+        this.sym = sym;
+        this._ranges = [];
+
+        // pushes keep the last values current, so a range that falls back to polling does not report them again
+        sym.on('push', (values) => {
+            values.forEach(({ id, value }) => {
+                this._ranges.forEach((range) => {
+                    if (id >= range.low && id <= range.high && range.last.has(id)) range.last.set(id, value);
+                });
+            });
+        });
+        sym.on('connected', () => {
+            this._ranges.filter((range) => range.mode === 'auto').forEach((range) => this._tryPush(range));
+        });
+    }
+
+    /**
+     * Starts watching a range of controls
+     * @param {object} options
+     * @param {number} options.low - the first control ID
+     * @param {number} options.high - the last control ID
+     * @param {string} [options.mode] - auto (push if the device accepts it, else poll) or poll, defaults to auto
+     * @param {number} [options.intervalMs] - the interval to start polling at, defaults to 1000
+     * @param {number} [options.minIntervalMs] - the shortest interval, defaults to a quarter of intervalMs
+     * @param {number} [options.maxIntervalMs] - the longest interval, defaults to 8 times intervalMs
+     * @return {Promise} resolves with `{ low, high, mode, polling }` once push has been tried in auto mode
+     */
+    async add({ low, high, mode = 'auto', intervalMs = 1000, minIntervalMs, maxIntervalMs } = {}) {
+        if (!validation.validControlId(low) || !validation.validControlId(high) || low < 1 || low > high)
+            throw new Error(`poller invalid range ${low} to ${high}`);
+        if (!modes.includes(mode)) throw new Error(`poller invalid mode ${mode}`);
+        if (!(intervalMs > 0)) throw new Error(`poller invalid interval ${intervalMs}`);
+        this.remove({ low, high });
+        const range = {
+            low,
+            high,
+            mode,
+            polling: false,
+            intervalMs,
+            minIntervalMs: minIntervalMs || intervalMs / 4,
+            maxIntervalMs: maxIntervalMs || intervalMs * 8,
+            last: new Map(), // id => value from the last read
+            timer: undefined,
+            failing: false,
+        };
+        this._ranges.push(range);
+        if (mode === 'auto' && this.sym.state === 'connected') await this._tryPush(range);
+        else this._poll(range, true);
+        return this._describe(range);
+    }
+
+    /**
+     * Stops watching a range, disabling push for it if it was added in auto mode
+     * @param {object} range - `{ low, high }` as given to add()
+     * @return {boolean} true if the range was being watched
+     */
+    remove({ low, high }) {
+        const range = this._ranges.find((r) => r.low === low && r.high === high);
+        if (!range) return false;
+        this._ranges.splice(this._ranges.indexOf(range), 1);
+        clearTimeout(range.timer);
+        range.removed = true;
+        if (range.mode === 'auto' && range.acquired) {
+            this.sym.releasePush([{ low, high }]).catch(() => {
+                // push was never accepted for it
+            });
+        }
+        return true;
+    }
+
+    /**
+     * @return {Array} `{ low, high, mode, polling, intervalMs }` for each range, where polling is whether the range
+     * is currently being polled and intervalMs is its current interval
+     */
+    list() {
+        return this._ranges.map((range) => this._describe(range));
+    }
+
+    /**
+     * Stops every range for good without changing push on the device, for when the instance is closed
+     */
+    stop() {
+        this._ranges.forEach((range) => {
+            clearTimeout(range.timer);
+            range.removed = true;
+        });
+        this._ranges = [];
+    }
+
+    _describe({ low, high, mode, polling, intervalMs }) {
+        return { low, high, mode, polling, intervalMs };
+    }
+
+    // asks the device to push the range, polling it instead if it will not
+    async _tryPush(range) {
+        try {
+            if (range.acquired) await this.sym.pushState(true, { low: range.low, high: range.high });
+            else {
+                range.acquired = true;
+                await this.sym.acquirePush([{ low: range.low, high: range.high }]).catch((err) => {
+                    // a failed acquire holds nothing, so the next try has to acquire again
+                    range.acquired = false;
+                    throw err;
+                });
+            }
+            if (range.removed) return;
+            range.polling = false;
+            clearTimeout(range.timer);
+        } catch (err) {
+            if (range.removed || range.polling) return;
+            range.polling = true;
+            this._poll(range, true);
+        }
+    }
+
+    _schedule(range) {
+        clearTimeout(range.timer);
+        if (!range.removed && range.polling) range.timer = setTimeout(() => this._poll(range), range.intervalMs);
+    }
+
+    /**
+     * Reads the range and emits what changed since the last read
+     * @param {object} range - the range
+     * @param {boolean} [start] - true to start polling the range
+     */
+    async _poll(range, start = false) {
+        if (start) range.polling = true;
+        if (range.removed || !range.polling) return;
+        if (this.sym.state !== 'connected') return this._schedule(range);
+
+        let values;
+        try {
+            values = await this.sym.controlGetRange({ low: range.low, high: range.high, priority: 'background' });
+        } catch (err) {
+            // reported once per run of failures so a flaky link does not flood the log
+            if (!range.failing) console.error(`Symetrix poll of ${range.low} to ${range.high} failed:`, err.message);
+            range.failing = true;
+            return this._schedule(range);
+        }
+        range.failing = false;
+        if (range.removed || !range.polling) return;
+
+        const first = range.last.size === 0;
+        const changes = [];
+        values.forEach(({ id, value }) => {
+            if (range.last.has(id) && range.last.get(id) !== value) changes.push({ id, value });
+            range.last.set(id, value);
+        });
+        if (!first) {
+            range.intervalMs =
+                changes.length > 0
+                    ? Math.max(range.minIntervalMs, range.intervalMs / 2)
+                    : Math.min(range.maxIntervalMs, range.intervalMs * 1.5);
+        }
+        if (changes.length > 0) this.sym.emit('push', changes);
+        this._schedule(range);
+    }
+}
+
+module.exports = { Poller };
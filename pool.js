@@ -0,0 +1,290 @@
+const EventEmitter = require('events');
+
+const { Control, ControlMap } = require('./controls');
+const { values } = require('./helpers');
+const { createLink } = require('./links');
+
+/**
+ * A set of Symetrix devices addressed by name, e.g. the frames in one building. Events from each device are
+ * re-emitted tagged with its name:
+ * - push: `[{ device, id, value }]`
+ * - change: `{ device, id, value, previous, source }`
+ * - state: `(device, state, previous)` whenever one device's connection state changes
+ * - status: the result of status() whenever the overall state changes
+ *
+ * Controls are addressed as `'device:id'`, `{ device, id }` or by name in the pool's control map, whose
+ * entries then say which device they are on with `device`.
+ */
+class SymetrixPool extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.devices] - Symetrix instances or constructor options keyed by device name
+     * @param {object} [options.defaults] - constructor options shared by every device the pool creates
+     * @param {ControlMap|object} [options.controlMap] - a map of named controls across devices
+     */
+    constructor({ devices = {}, defaults = {}, controlMap } = {}) {
+        super();
+        this.defaults = defaults;
+        this._devices = new Map(); // name => { sym, owned, listeners }
+        this.state = 'connecting';
+        if (controlMap) this.setControlMap(controlMap);
+        Object.keys(devices).forEach((name) => this.add(name, devices[name]));
+    }
+
+    /**
+     * Adds a device to the pool
+     * @param {string} name - the name to address the device by, which must not contain a colon
+     * @param {Symetrix|object} options - an existing instance, or constructor options for a new one
+     * @return {Symetrix} the device's instance
+     */
+    add(name, options) {
+        if (typeof name !== 'string' || name === '' || name.includes(':'))
+            throw new Error(`SymetrixPool invalid device name ${name}`);
+        if (this._devices.has(name)) throw new Error(`SymetrixPool already has a device named ${name}`);
+
+        // required here rather than at the top since symetrix.js exports the pool
+        const { Symetrix } = require('./symetrix');
+        const owned = !(options instanceof Symetrix);
+        const sym = owned ? new Symetrix({ ...this.defaults, ...options }) : options;
+        const listeners = {
+            push: (pushed) => this.emit('push', pushed.map(({ id, value }) => ({ device: name, id, value }))),
+            change: (change) => this.emit('change', { device: name, ...change }),
+            state: (state, previous) => {
+                this.emit('state', name, state, previous);
+                this._updateState();
+            },
+        };
+        Object.keys(listeners).forEach((event) => sym.on(event, listeners[event]));
+        this._devices.set(name, { sym, owned, listeners });
+        this._updateState();
+        return sym;
+    }
+
+    /**
+     * Removes a device from the pool, closing its connection if the pool created it
+     * @param {string} name - the device name
+     */
+    remove(name) {
+        const device = this._devices.get(name);
+        if (!device) return;
+        Object.keys(device.listeners).forEach((event) => device.sym.removeListener(event, device.listeners[event]));
+        this._devices.delete(name);
+        if (device.owned) device.sym.destructor();
+        this._updateState();
+    }
+
+    /**
+     * @param {string} name - the device name
+     * @return {Symetrix} the device's instance
+     */
+    device(name) {
+        const device = this._devices.get(name);
+        if (!device) throw new Error(`SymetrixPool has no device named ${name}`);
+        return device.sym;
+    }
+
+    /**
+     * @return {Array} the names of the devices in the pool
+     */
+    get names() {
+        return [...this._devices.keys()];
+    }
+
+    /**
+     * @return {object} `{ state, devices }` where devices holds each device's connection state by name. state is
+     * connected or closed when every device is, degraded when only some are connected, connecting while every
+     * device is first connecting and disconnected otherwise
+     */
+    status() {
+        const devices = {};
+        this._devices.forEach(({ sym }, name) => {
+            devices[name] = sym.state;
+        });
+        return { state: this.state, devices };
+    }
+
+    _updateState() {
+        const states = [...this._devices.values()].map(({ sym }) => sym.state);
+        let state;
+        if (states.length > 0 && states.every((s) => s === 'closed')) state = 'closed';
+        else if (states.length > 0 && states.every((s) => s === 'connected')) state = 'connected';
+        else if (states.some((s) => s === 'connected')) state = 'degraded';
+        else if (states.length > 0 && states.every((s) => s === 'connecting')) state = 'connecting';
+        else state = 'disconnected';
+        if (state === this.state) return;
+        this.state = state;
+        this.emit('status', this.status());
+    }
+
+    /**
+     * Sets the map of named controls shared by the pool, whose entries each name their `device`
+     * @param {ControlMap|object} map - a ControlMap, or anything ControlMap.fromJSON() accepts
+     * @return {ControlMap} the map
+     */
+    setControlMap(map) {
+        this.controlMap = map instanceof ControlMap ? map : ControlMap.fromJSON(map);
+        return this.controlMap;
+    }
+
+    /**
+     * Works out which device and control an address refers to
+     * @param {string|object} address - `'device:id'`, `{ device, id }` or a name in the pool's control map
+     * @return {object} `{ device, id, definition }` where definition is the control map entry, if there is one
+     */
+    resolve(address) {
+        if (typeof address === 'object' && address !== null) {
+            this.device(address.device);
+            return { device: address.device, id: Number(address.id), definition: undefined };
+        }
+        const definition = this.controlMap && this.controlMap.get(address);
+        if (definition) {
+            if (!definition.device) throw new Error(`control ${address} does not name its device`);
+            this.device(definition.device);
+            return { device: definition.device, id: definition.id, definition };
+        }
+        const m = typeof address === 'string' && address.match(/^(.+):(\d+)$/);
+        if (!m) throw new Error(`SymetrixPool cannot resolve control ${address}`);
+        this.device(m[1]);
+        return { device: m[1], id: Number(m[2]), definition: undefined };
+    }
+
+    /**
+     * Looks up a named control in the pool's control map, bound to the device it is on
+     * @param {string} name - the control name
+     * @return {Control} the control
+     */
+    control(name) {
+        const { device, definition } = this.resolve(name);
+        if (!definition) throw new Error(`control ${name} is not in the control map`);
+        return new Control(this.device(device), definition);
+    }
+
+    /**
+     * @param {string|object} address - the control, see resolve()
+     * @param {number} value - the value to set the control to, between 0 and 65535
+     * @param {object} [options] - per-call options, see Symetrix.controlSet()
+     * @return {Promise}
+     */
+    controlSet(address, value, options) {
+        const { device, id } = this.resolve(address);
+        return this.device(device).controlSet(id, value, options);
+    }
+
+    /**
+     * @param {string|object} address - the control, see resolve()
+     * @param {object} [options] - per-call options, see Symetrix.controlGet()
+     * @return {Promise}
+     */
+    controlGet(address, options) {
+        const { device, id } = this.resolve(address);
+        return this.device(device).controlGet(id, options);
+    }
+
+    /**
+     * Runs an operation on several devices at once. One device failing, or not being in the pool, does not stop
+     * the others
+     * @param {function} fn - called with `(sym, name)` for each device, returning a promise
+     * @param {Array} [devices] - the names of the devices to run on, defaults to all of them
+     * @return {Promise} resolves with `{ ok: true, value }` or `{ ok: false, error }` keyed by device name
+     */
+    async each(fn, devices = this.names) {
+        const settled = await Promise.allSettled(
+            devices.map((name) => Promise.resolve().then(() => fn(this.device(name), name)))
+        );
+        const results = {};
+        settled.forEach((outcome, i) => {
+            if (outcome.status === 'fulfilled') results[devices[i]] = { ok: true, value: outcome.value };
+            else results[devices[i]] = { ok: false, error: outcome.reason };
+        });
+        return results;
+    }
+
+    /**
+     * Loads a preset on several devices
+     * @param {number} id - the preset number
+     * @param {object} [options]
+     * @param {Array} [options.devices] - the names of the devices, defaults to all of them
+     * @return {Promise} resolves with the result for each device, see each()
+     */
+    loadPreset(id, { devices, ...options } = {}) {
+        return this.each((sym) => sym.loadPreset(id, options), devices);
+    }
+
+    /**
+     * Sets a list of controls, which may be on different devices, to the same value
+     * @param {Array} addresses - the controls, see resolve()
+     * @param {number} value - the value to set them to, between 0 and 65535
+     * @param {object} [options] - per-call options, see Symetrix.controlSet()
+     * @return {Promise} resolves with the result for each device, see each(), where value is
+     * `[{ id, ok, value, error }]` for that device's controls and ok is only true if all of them were set
+     */
+    async setMany(addresses, value, options) {
+        const byDevice = new Map();
+        addresses.forEach((address) => {
+            const { device, id } = this.resolve(address);
+            if (!byDevice.has(device)) byDevice.set(device, []);
+            byDevice.get(device).push(id);
+        });
+        const results = await this.each(async (sym, name) => {
+            const ids = byDevice.get(name);
+            const settled = await Promise.allSettled(ids.map((id) => sym.controlSet(id, value, options)));
+            return settled.map((outcome, i) =>
+                outcome.status === 'fulfilled'
+                    ? { id: ids[i], ok: true, value: outcome.value }
+                    : { id: ids[i], ok: false, error: outcome.reason }
+            );
+        }, [...byDevice.keys()]);
+        Object.values(results).forEach((result) => {
+            if (result.ok) result.ok = result.value.every((control) => control.ok);
+        });
+        return results;
+    }
+
+    /**
+     * Mutes a list of controls, which may be on different devices
+     * @param {Array} addresses - the mute controls, see resolve()
+     * @param {object} [options] - per-call options, see Symetrix.controlSet()
+     * @return {Promise} resolves with the result for each device, see setMany()
+     */
+    mute(addresses, options) {
+        return this.setMany(addresses, values.max, options);
+    }
+
+    /**
+     * Unmutes a list of controls, which may be on different devices
+     * @param {Array} addresses - the mute controls, see resolve()
+     * @param {object} [options] - per-call options, see Symetrix.controlSet()
+     * @return {Promise} resolves with the result for each device, see setMany()
+     */
+    unmute(addresses, options) {
+        return this.setMany(addresses, values.min, options);
+    }
+
+    /**
+     * Links controls across devices, see Symetrix.link()
+     * @param {Array} members - addresses (see resolve()), `{ device, id, offsetDb, floor, ceiling }` or
+     * `{ address, offsetDb, floor, ceiling }`. Members from the control map take their range from it
+     * @param {object} [options] - `{ mode, direction }`, see Symetrix.link()
+     * @return {Link} the link
+     */
+    link(members, options) {
+        return createLink(
+            members.map((member) => {
+                const { address, ...rest } = typeof member === 'object' ? member : { address: member };
+                const { device, id, definition } = this.resolve(address === undefined ? member : address);
+                const range = definition ? { min: definition.min, max: definition.max } : {};
+                return { ...range, ...rest, sym: this.device(device), id };
+            }),
+            options
+        );
+    }
+
+    /**
+     * Removes every device, closing the connections the pool created
+     */
+    destructor() {
+        this.names.forEach((name) => this.remove(name));
+    }
+}
+
+module.exports = { SymetrixPool };
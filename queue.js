@@ -0,0 +1,159 @@
+const lanes = ['urgent', 'normal', 'background'];
+
+/**
+ * The commands waiting to be sent, in priority lanes. Commands are always taken from the highest
+ * priority lane that has any, and in order within a lane.
+ *
+ * A command with a coalesce key replaces any command with the same key that is still waiting, e.g.
+ * consecutive controlSet calls to the same control while a fader is dragged. The replaced commands are
+ * returned so the caller can settle them along with the command that replaced them.
+ */
+class SendQueue {
+    /**
+     * @param {object} [options]
+     * @param {number|object} [options.maxDepth] - the most commands that can wait, either in total or per lane
+     * as `{ urgent, normal, background }`. Defaults to no limit
+     */
+    constructor({ maxDepth = Infinity } = {}) {
+        this._lanes = {};
+        lanes.forEach((lane) => {
+            this._lanes[lane] = [];
+        });
+        this.maxDepth = maxDepth;
+
+        this._stats = { sent: 0, coalesced: 0, rejected: 0, waitTotal: 0, waitMax: 0, waitLast: 0 };
+    }
+
+    get length() {
+        return lanes.reduce((total, lane) => total + this._lanes[lane].length, 0);
+    }
+
+    /**
+     * @param {string} lane - the lane a new command would go into
+     * @return {boolean} true if there is no room for another command in that lane
+     */
+    isFull(lane) {
+        if (typeof this.maxDepth === 'number') return this.length >= this.maxDepth;
+        const limit = this.maxDepth[lane];
+        return typeof limit === 'number' && this._lanes[lane].length >= limit;
+    }
+
+    /**
+     * @param {string} key - a coalesce key
+     * @return {boolean} true if a waiting command has that key
+     */
+    hasKey(key) {
+        return lanes.some((lane) => this._lanes[lane].some((queued) => queued.coalesceKey === key));
+    }
+
+    /**
+     * Adds a command to the back of its lane, replacing any waiting command with the same coalesce key
+     * @param {object} entry - the command, with `priority` and optionally `coalesceKey`
+     * @return {Array} the commands that were replaced
+     */
+    push(entry) {
+        const superseded = [];
+        if (entry.coalesceKey) {
+            lanes.forEach((lane) => {
+                this._lanes[lane] = this._lanes[lane].filter((queued) => {
+                    if (queued.coalesceKey !== entry.coalesceKey) return true;
+                    superseded.push(queued);
+                    return false;
+                });
+            });
+            this._stats.coalesced += superseded.length;
+        }
+        entry.queuedAt = entry.queuedAt || Date.now();
+        this._lanes[entry.priority].push(entry);
+        return superseded;
+    }
+
+    /**
+     * Puts a command back at the front of its lane, e.g. when it could not be sent after all
+     * @param {object} entry - the command
+     */
+    unshift(entry) {
+        this._lanes[entry.priority].unshift(entry);
+    }
+
+    /**
+     * Puts commands taken with drain() back in the queue without coalescing or depth checks
+     * @param {Array} entries - the commands
+     */
+    restore(entries) {
+        entries.forEach((entry) => this._lanes[entry.priority].push(entry));
+    }
+
+    /**
+     * @return {object|undefined} the next command to send, removed from the queue
+     */
+    shift() {
+        const lane = lanes.find((l) => this._lanes[l].length > 0);
+        return lane ? this._lanes[lane].shift() : undefined;
+    }
+
+    /**
+     * @param {object} entry - the command to remove
+     * @return {boolean} true if the command was waiting and has been removed
+     */
+    remove(entry) {
+        const queued = this._lanes[entry.priority];
+        const i = queued ? queued.indexOf(entry) : -1;
+        if (i < 0) return false;
+        queued.splice(i, 1);
+        return true;
+    }
+
+    /**
+     * Empties the queue
+     * @return {Array} every waiting command in the order they would have been sent
+     */
+    drain() {
+        const all = [].concat(...lanes.map((lane) => this._lanes[lane]));
+        lanes.forEach((lane) => {
+            this._lanes[lane] = [];
+        });
+        return all;
+    }
+
+    forEach(cb) {
+        lanes.forEach((lane) => this._lanes[lane].forEach(cb));
+    }
+
+    // Records how long a command waited once it is sent
+    sent(entry) {
+        const wait = Date.now() - entry.queuedAt;
+        this._stats.sent += 1;
+        this._stats.waitTotal += wait;
+        this._stats.waitLast = wait;
+        this._stats.waitMax = Math.max(this._stats.waitMax, wait);
+    }
+
+    // Counts a command turned away because its lane was full
+    rejected() {
+        this._stats.rejected += 1;
+    }
+
+    /**
+     * @return {object} the current depth of each lane and counters since the queue was created
+     */
+    metrics() {
+        const now = Date.now();
+        const depth = { total: this.length };
+        let oldest = 0;
+        lanes.forEach((lane) => {
+            depth[lane] = this._lanes[lane].length;
+            if (this._lanes[lane].length > 0) oldest = Math.max(oldest, now - this._lanes[lane][0].queuedAt);
+        });
+        const { sent, coalesced, rejected, waitTotal, waitMax, waitLast } = this._stats;
+        return {
+            depth,
+            sent,
+            coalesced,
+            rejected,
+            wait: { average: sent > 0 ? Math.round(waitTotal / sent) : 0, max: waitMax, last: waitLast, oldest },
+        };
+    }
+}
+
+module.exports = { SendQueue, lanes };
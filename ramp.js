@@ -0,0 +1,103 @@
+const { conversions } = require('./helpers');
+const { AbortError } = require('./errors');
+
+const curves = ['linear', 'dB', 's-curve'];
+
+const dBToGain = (db) => Math.pow(10, db / 20);
+const gainTodB = (gain) => 20 * Math.log10(gain);
+
+/**
+ * A timed move of one control from its current value to a target. Each step is a controlSet of the
+ * value the curve has reached at that moment, and the next step is only sent once the previous one
+ * has been acknowledged, so a slow link gets fewer, larger steps rather than a backed up send queue.
+ * The ramp always finishes on exactly the target value.
+ *
+ * Curves are worked out over the fader's dB range:
+ * - linear: a straight line in gain (amplitude), which sounds fast at the top and slow at the bottom
+ * - dB: a straight line in dB, the same number of dB every second
+ * - s-curve: a straight line in dB eased in at the start and out at the end
+ */
+class Ramp {
+    /**
+     * @param {Symetrix} sym - the instance to send through
+     * @param {number} id - the control ID to ramp
+     * @param {number} target - the target value in API units
+     * @param {object} options
+     * @param {number} options.durationMs - how long the ramp should take
+     * @param {string} options.curve - one of linear, dB or s-curve
+     * @param {number} options.min - the dB value of API value 0
+     * @param {number} options.max - the dB value of API value 65535
+     * @param {number} options.minStepMs - the shortest time between steps
+     */
+    constructor(sym, id, target, { durationMs, curve, min, max, minStepMs }) {
+        this.sym = sym;
+        this.id = id;
+        this.target = target;
+        this.durationMs = durationMs;
+        this.curve = curve;
+        this.min = min;
+        this.max = max;
+        this.minStepMs = minStepMs;
+        this.cancelled = undefined;
+    }
+
+    /**
+     * @param {number} from - the starting value in API units
+     * @param {number} t - progress through the ramp, between 0 and 1
+     * @return {number} the API value at that point
+     */
+    valueAt(from, t) {
+        if (t >= 1) return this.target;
+        const range = { min: this.min, max: this.max };
+        const fromDb = conversions.apiTodB(from, range);
+        const toDb = conversions.apiTodB(this.target, range);
+        let db;
+        if (this.curve === 'linear') {
+            const gain = dBToGain(fromDb) + (dBToGain(toDb) - dBToGain(fromDb)) * t;
+            db = gainTodB(gain);
+        } else {
+            if (this.curve === 's-curve') t = t * t * (3 - 2 * t);
+            db = fromDb + (toDb - fromDb) * t;
+        }
+        return Math.min(Math.max(conversions.dBToAPI(db, range), 0), 65535);
+    }
+
+    /**
+     * Stops the ramp after the step in flight, rejecting its promise
+     * @param {string} reason - why the ramp was stopped
+     */
+    cancel(reason) {
+        this.cancelled = reason;
+        clearTimeout(this._timer);
+        if (this._wake) this._wake();
+    }
+
+    /**
+     * @param {number} from - the starting value in API units
+     * @return {Promise} resolves with the target value once it has been set
+     */
+    async run(from) {
+        const start = Date.now();
+        let last = from;
+        for (;;) {
+            if (this.cancelled) throw new AbortError(`ramp ${this.cancelled}`, { id: this.id });
+            const t = this.durationMs > 0 ? (Date.now() - start) / this.durationMs : 1;
+            const value = this.valueAt(from, t);
+            const sent = Date.now();
+            if (value !== last || t >= 1) {
+                await this.sym.controlSet(this.id, value);
+                last = value;
+            }
+            if (t >= 1) return value;
+
+            // wait out whatever is left of the minimum step time after the round trip
+            const wait = Math.max(0, this.minStepMs - (Date.now() - sent));
+            await new Promise((resolve) => {
+                this._wake = resolve;
+                this._timer = setTimeout(resolve, wait);
+            });
+        }
+    }
+}
+
+module.exports = { Ramp, curves };
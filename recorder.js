@@ -0,0 +1,117 @@
+const fs = require('fs');
+
+const captureVersion = 1;
+
+/*
+ * A capture is JSON lines, one record per line. The first is a header and the rest are in the order they
+ * happened, t being milliseconds since the recording started:
+ * { "version": 1, "startedAt": "2021-06-01T12:00:00.000Z", "host": "172.16.10.200", "port": 48631,
+ *   "transport": "tcp" }
+ * { "t": 0, "state": "connected" }
+ * { "t": 3, "tx": "$q GS2 1000\r", "command": { "type": "controlGet", "regex": "...", "flags": "" } }
+ * { "t": 5, "rx": "#01001=00012\r1000 3", "inFlight": "$q GS2 1000\r" }
+ * { "t": 6, "rx": "2768\r", "inFlight": "$q GS2 1000\r" }
+ *
+ * rx records hold the data exactly as it was received, one record per TCP chunk or UDP datagram, so replaying
+ * them reproduces how replies and pushes were divided. A UDP retransmit is a tx record with an attempt number.
+ */
+
+/**
+ * Writes everything a Symetrix instance sends and receives to a capture, see Symetrix.startRecording()
+ */
+class Recorder {
+    /**
+     * @param {Symetrix} sym - the instance to record
+     * @param {string|stream.Writable} target - a file path, which is overwritten, or a stream to write to
+     */
+    constructor(sym, target) {
+        this.sym = sym;
+        this._owned = typeof target === 'string';
+        this._stream = this._owned ? fs.createWriteStream(target) : target;
+        this._stream.on('error', (err) => console.error('Symetrix recording failed:', err.message));
+        this._started = Date.now();
+        this._onState = (state) => this._write({ state });
+
+        this._write({
+            version: captureVersion,
+            startedAt: new Date(this._started).toISOString(),
+            host: sym.host,
+            port: sym.port,
+            transport: sym.transport,
+        });
+        if (sym.state === 'connected') this._write({ state: 'connected' });
+        sym.on('state', this._onState);
+    }
+
+    /**
+     * Records a command as it is written to the device
+     * @param {object} entry - the command, see Symetrix.reqToSend()
+     * @param {number} [attempt] - how many times it had already been sent, for UDP retransmits
+     */
+    sent(entry, attempt = 0) {
+        const { type, regex, shape, count, raw } = entry;
+        const command = { type, regex: regex && regex.source, flags: regex && regex.flags, shape, count, raw };
+        const record = { tx: entry.command, command };
+        if (attempt > 0) record.attempt = attempt;
+        this._write(record);
+    }
+
+    /**
+     * Records data as it was received from the device
+     * @param {string} data - the data
+     * @param {object} [inFlight] - the command waiting for its reply, if there is one
+     */
+    received(data, inFlight) {
+        this._write({ rx: data, inFlight: inFlight ? inFlight.command : null });
+    }
+
+    /**
+     * Stops recording
+     * @return {Promise} resolves once everything recorded has been written
+     */
+    stop() {
+        this.sym.removeListener('state', this._onState);
+        if (!this._owned) return Promise.resolve();
+        return new Promise((resolve) => this._stream.end(resolve));
+    }
+
+    _write(record) {
+        if ('version' in record) this._stream.write(`${JSON.stringify(record)}\n`);
+        else this._stream.write(`${JSON.stringify({ t: Date.now() - this._started, ...record })}\n`);
+    }
+}
+
+/**
+ * Reads a capture written by a Recorder
+ * @param {string|Array} capture - the capture's JSON lines, or its records
+ * @return {object} `{ header, records }`
+ */
+function parseCapture(capture) {
+    let records = capture;
+    if (typeof capture === 'string') {
+        records = [];
+        capture.split('\n').forEach((line, i) => {
+            if (line.trim() === '') return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (err) {
+                throw new Error(`Capture line ${i + 1} is not JSON`);
+            }
+        });
+    }
+    if (!Array.isArray(records) || records.length === 0) throw new Error('Capture is empty');
+    const [header, ...rest] = records;
+    if (header.version !== captureVersion) throw new Error(`Capture version ${header.version} is not supported`);
+    return { header, records: rest };
+}
+
+/**
+ * Reads a capture file
+ * @param {string} file - the path of the capture
+ * @return {Promise} resolves with `{ header, records }`, see parseCapture()
+ */
+function readCapture(file) {
+    return fs.promises.readFile(file, 'utf8').then((text) => parseCapture(text));
+}
+
+module.exports = { Recorder, parseCapture, readCapture };
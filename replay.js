@@ -0,0 +1,98 @@
+const EventEmitter = require('events');
+
+const { parseCapture } = require('./recorder');
+
+/**
+ * Stands in for the TCP socket during a replay, given to the instance as its socket option. Writes are reported
+ * rather than sent anywhere
+ */
+class ReplaySocket extends EventEmitter {
+    constructor() {
+        super();
+        this.readyState = 'closed';
+        this.destroyed = false;
+    }
+
+    write(data) {
+        this.emit('write', data);
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        this.readyState = 'closed';
+        this.emit('close');
+    }
+}
+
+/**
+ * Feeds a capture back through the parser and send queue of a Symetrix instance, without a network, to reproduce
+ * how replies and pushes interleaved when it was recorded.
+ *
+ * Each recorded command is queued again when its turn comes in the capture and each received chunk is handed to
+ * the instance exactly as it arrived, once the commands before it have been written. Time is not reproduced: a
+ * command that got no reply in the capture times out after `timeout`, and UDP retransmits are left out.
+ *
+ * The result lists what the instance made of the traffic, in order, so a capture of a bug can become a
+ * regression test by checking it:
+ * - `{ event: 'push', values }` for each push event
+ * - `{ event: 'reply', command, response }` for each command that resolved, with its parsed response
+ * - `{ event: 'error', command, error }` for each command that was rejected, with the error's name
+ * - `{ event: 'unexpected', line }` for each line that was neither a push nor a reply
+ * @param {string|Array|object} capture - the capture's JSON lines, its records or the result of readCapture()
+ * @param {object} [options]
+ * @param {number} [options.timeout] - milliseconds a command waits for a reply that is not in the capture,
+ * defaults to 100
+ * @return {Promise} resolves with `{ header, events }`
+ */
+async function replay(capture, { timeout = 100 } = {}) {
+    const { header, records } = capture && capture.header ? capture : parseCapture(capture);
+    // required here rather than at the top since symetrix.js exports the replay
+    const { Symetrix } = require('./symetrix');
+
+    const events = [];
+    const socket = new ReplaySocket();
+    const sym = new Symetrix({ host: '127.0.0.1', port: header.port, timeout, retryTimeout: 0, socket });
+    sym.on('push', (values) => events.push({ event: 'push', values }));
+    sym.on('unexpected', (line) => events.push({ event: 'unexpected', line }));
+    const connect = () => {
+        socket.readyState = 'open';
+        socket.emit('connect');
+    };
+
+    const settled = [];
+    for (const record of records) {
+        if (record.state === 'connected') connect();
+        else if (record.state && sym.state === 'connected') {
+            // the command in flight when the connection dropped never got its reply
+            socket.readyState = 'closed';
+            socket.emit('close');
+        } else if (record.tx !== undefined && !record.attempt) {
+            if (sym.state !== 'connected') connect();
+            const { type, regex, flags, shape, count, raw } = record.command || {};
+            let onWrite;
+            const written = new Promise((resolve) => socket.once('write', (onWrite = resolve)));
+            const done = new Promise((resolve) => {
+                const cb = (err, response) => {
+                    if (err) events.push({ event: 'error', command: record.tx, error: err.name });
+                    else events.push({ event: 'reply', command: record.tx, response });
+                    resolve();
+                };
+                sym.reqToSend(record.tx, regex ? new RegExp(regex, flags) : /.*/, cb, { type, shape, count, raw });
+            });
+            settled.push(done);
+            // a command queued behind one that is waiting to time out goes out once that has
+            await Promise.race([written, done]);
+            socket.removeListener('write', onWrite);
+        } else if (record.rx !== undefined) {
+            socket.emit('data', record.rx);
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+    }
+
+    await Promise.all(settled);
+    sym.destructor();
+    return { header, events };
+}
+
+module.exports = { replay };
@@ -0,0 +1,289 @@
+const http = require('http');
+const crypto = require('crypto');
+
+const errors = require('./errors');
+const { units, validation } = require('./helpers');
+
+const maxBodyBytes = 64 * 1024;
+const maxBlockSize = 256;
+
+/**
+ * @param {number} status - the HTTP status to answer with
+ * @param {string} message - the error message
+ * @return {Error} an error the bridge answers with that status
+ */
+function requestError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * @param {Error} err - why a request failed
+ * @return {number} the HTTP status to answer with
+ */
+function statusFor(err) {
+    if (err.status) return err.status;
+    if (err instanceof errors.NakError) return 422;
+    if (err instanceof errors.TimeoutError) return 504;
+    if (
+        err instanceof errors.NotConnectedError ||
+        err instanceof errors.ConnectionClosedError ||
+        err instanceof errors.QueueFullError
+    )
+        return 503;
+    if (err instanceof errors.PolicyError) return 403;
+    if (err instanceof errors.SymetrixError) return 502;
+    return 500;
+}
+
+// compares without leaking how much of the key matched through the time taken
+function sameKey(given, key) {
+    const a = Buffer.from(String(given));
+    const b = Buffer.from(key);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * @param {string} text - a path segment or query value
+ * @return {number|undefined} the whole number it holds, if it is one
+ */
+function integer(text) {
+    return /^\d+$/.test(text) ? Number(text) : undefined;
+}
+
+/**
+ * A JSON over HTTP front end for one Symetrix instance, for clients that should not speak Composer Control:
+ * - `GET /controls/:id` and `PUT /controls/:id` with `{ value, unit }`
+ * - `POST /controls/:id/change` with `{ by, unit }`
+ * - `GET /controls?from=&size=` for up to 256 consecutive controls
+ * - `GET /preset` and `POST /preset` with `{ preset }`
+ * - `GET /strings/:resource` and `PUT /strings/:resource` with `{ value }`
+ * - `POST /flash`
+ *
+ * Control values are in API units unless `unit` (in the body, or the query string for reads) is dB, pct or on.
+ * dB values use the control's range from the control map if it has one, otherwise `min` and `max` or the
+ * default fader range.
+ *
+ * Failures are answered with `{ error, type }` and a status of 400 for invalid input, 401 without the API key,
+ * 403 when a write policy refuses it, 404 for an unknown path, 405 for a method the path does not support, 413
+ * for a body over 64KB, 422 when the device answers NAK, 503 when it is not connected or the send queue is full,
+ * and 504 when it does not answer in time.
+ */
+class RestBridge {
+    /**
+     * @param {Symetrix} sym - the instance to send through
+     * @param {object} [options]
+     * @param {string} [options.apiKey] - if set, requests must send it as `X-API-Key` or `Authorization: Bearer`
+     */
+    constructor(sym, { apiKey } = {}) {
+        this.sym = sym;
+        this.apiKey = apiKey;
+        this.server = undefined;
+
+        // [method, path pattern, handler] with the pattern's groups passed to the handler
+        this._routes = [
+            ['GET', /^\/controls\/(\d+)$/, (req, [id]) => this._getControl(integer(id), req.query)],
+            ['PUT', /^\/controls\/(\d+)$/, (req, [id]) => this._setControl(integer(id), req.body)],
+            ['POST', /^\/controls\/(\d+)\/change$/, (req, [id]) => this._changeControl(integer(id), req.body)],
+            ['GET', /^\/controls$/, (req) => this._getControls(req.query)],
+            ['GET', /^\/preset$/, () => this.sym.getPreset().then((preset) => ({ preset: Number(preset) }))],
+            ['POST', /^\/preset$/, (req) => this._loadPreset(req.body)],
+            ['GET', /^\/strings\/([^/]+)$/, (req, [resource]) => this._getString(resource)],
+            ['PUT', /^\/strings\/([^/]+)$/, (req, [resource]) => this._setString(resource, req.body)],
+            ['POST', /^\/flash$/, () => this.sym.flashUnit().then(() => ({ ok: true }))],
+        ];
+    }
+
+    /**
+     * Starts an HTTP server for the bridge
+     * @param {number} [port] - the port to listen on, defaults to any free port
+     * @param {string} [host] - the address to listen on, defaults to all
+     * @return {Promise} resolves with the port once the server is listening
+     */
+    listen(port = 0, host) {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    /**
+     * @return {Promise} resolves once the server has stopped
+     */
+    close() {
+        if (!this.server) return Promise.resolve();
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Answers one request, so the bridge can also be mounted in an existing HTTP server
+     * @param {http.IncomingMessage} req - the request
+     * @param {http.ServerResponse} res - the response
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (this.apiKey && !this._authorized(req)) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                throw requestError(401, 'missing or wrong API key');
+            }
+            const route = this._route(req.method, url.pathname);
+            const body = req.method === 'GET' ? undefined : await this._readBody(req);
+            const result = await route.handler({ query: Object.fromEntries(url.searchParams), body }, route.params);
+            this._send(res, 200, result);
+        } catch (err) {
+            this._send(res, statusFor(err), { error: err.message, type: err.name });
+        }
+    }
+
+    _authorized(req) {
+        const header = req.headers.authorization || '';
+        const bearer = header.startsWith('Bearer ') ? header.slice(7) : undefined;
+        const given = req.headers['x-api-key'] || bearer;
+        return given !== undefined && sameKey(given, this.apiKey);
+    }
+
+    _route(method, path) {
+        const matching = this._routes
+            .map(([m, pattern, handler]) => ({ method: m, match: path.match(pattern), handler }))
+            .filter(({ match }) => match);
+        if (matching.length === 0) throw requestError(404, `no such resource ${path}`);
+        const route = matching.find((r) => r.method === method);
+        if (!route) throw requestError(405, `${method} is not supported for ${path}`);
+        return { handler: route.handler, params: route.match.slice(1) };
+    }
+
+    _readBody(req) {
+        return new Promise((resolve, reject) => {
+            let text = '';
+            let tooLarge = false;
+            req.setEncoding('utf8');
+            req.on('data', (chunk) => {
+                // the rest of a body that is too large is still read, just not kept, since closing the
+                // connection here would reset it before the client gets the 413
+                if (tooLarge) return;
+                text += chunk;
+                if (Buffer.byteLength(text) > maxBodyBytes) {
+                    tooLarge = true;
+                    text = '';
+                    reject(requestError(413, 'request body is too large'));
+                }
+            });
+            req.on('end', () => {
+                if (tooLarge) return;
+                if (text.trim() === '') return resolve({});
+                try {
+                    const body = JSON.parse(text);
+                    if (typeof body !== 'object' || body === null) throw new Error();
+                    resolve(body);
+                } catch (err) {
+                    reject(requestError(400, 'request body must be a JSON object'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    _send(res, status, body) {
+        if (res.headersSent) return;
+        const text = JSON.stringify(body);
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) });
+        res.end(text);
+    }
+
+    /**
+     * Checks a control ID and works out the unit and range its value is given in
+     * @param {number} id - the control ID
+     * @param {object} params - the query string or body, with optional unit, min and max
+     * @return {object} `{ unit, range }`
+     */
+    _unit(id, params) {
+        if (id === undefined || id < 1 || !validation.validControlId(id))
+            throw requestError(400, `invalid control id ${id}`);
+        const unit = params.unit || 'api';
+        if (!units.names.includes(unit)) throw requestError(400, `invalid unit ${unit}`);
+        const definition = this.sym.controlMap && this.sym.controlMap.get(id);
+        const range = {};
+        ['min', 'max'].forEach((key) => {
+            if (params[key] !== undefined && params[key] !== '') range[key] = Number(params[key]);
+            else if (definition && typeof definition[key] === 'number') range[key] = definition[key];
+        });
+        if (Number.isNaN(range.min) || Number.isNaN(range.max)) throw requestError(400, 'invalid min or max');
+        return { unit, range };
+    }
+
+    async _getControl(id, query) {
+        const { unit, range } = this._unit(id, query);
+        const value = Number(await this.sym.controlGet(id));
+        return { id, value: units.fromAPI(value, unit, range), unit };
+    }
+
+    async _setControl(id, body) {
+        const { unit, range } = this._unit(id, body);
+        const value = units.toAPI(body.value, unit, range);
+        if (value === undefined)
+            throw requestError(400, `invalid value ${JSON.stringify(body.value)} for unit ${unit}`);
+        await this.sym.controlSet(id, value);
+        return { id, value: body.value, unit };
+    }
+
+    async _changeControl(id, body) {
+        const { unit, range } = this._unit(id, body);
+        const by = units.deltaToAPI(body.by, unit, range);
+        if (by === undefined) throw requestError(400, `invalid change ${JSON.stringify(body.by)} for unit ${unit}`);
+        await this.sym.controlChange(id, by);
+        return { id, by: body.by, unit };
+    }
+
+    async _getControls(query) {
+        const from = integer(query.from);
+        const size = query.size === undefined ? 1 : integer(query.size);
+        if (size === undefined || size < 1 || size > maxBlockSize)
+            throw requestError(400, `invalid size ${query.size}, must be between 1 and ${maxBlockSize}`);
+        const { unit, range } = this._unit(from, query);
+        if (from + size - 1 > 10000) throw requestError(400, `controls ${from} to ${from + size - 1} are out of range`);
+        const block = await this.sym.controlGetBlock(from, size);
+        return { controls: block.map(({ id, value }) => ({ id, value: units.fromAPI(value, unit, range) })), unit };
+    }
+
+    async _loadPreset(body) {
+        const preset = body.preset;
+        if (!Number.isInteger(preset) || !validation.validRange(preset, 1, 1000))
+            throw requestError(400, `invalid preset ${JSON.stringify(preset)}`);
+        await this.sym.loadPreset(preset);
+        return { preset };
+    }
+
+    // decodes a resource name from the path, which must not be able to break out of the SSYSS/GSYSS command
+    _resource(encoded) {
+        let resource;
+        try {
+            resource = decodeURIComponent(encoded);
+        } catch (err) {
+            throw requestError(400, `invalid resource ${encoded}`);
+        }
+        if (!/^[^\s=]+$/.test(resource)) throw requestError(400, `invalid resource ${resource}`);
+        return resource;
+    }
+
+    async _getString(encoded) {
+        const resource = this._resource(encoded);
+        const value = await this.sym.getSystemString(resource);
+        return { resource, value };
+    }
+
+    async _setString(encoded, body) {
+        const resource = this._resource(encoded);
+        if (typeof body.value !== 'string' || /[\r\n]/.test(body.value))
+            throw requestError(400, 'value must be a string without line breaks');
+        await this.sym.setSystemString(resource, body.value);
+        return { resource, value: body.value };
+    }
+}
+
+module.exports = { RestBridge, statusFor, requestError, sameKey };
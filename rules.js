@@ -0,0 +1,272 @@
+const EventEmitter = require('events');
+
+const { conversions, values, units } = require('./helpers');
+
+const conditionUnits = ['api', 'dB', 'meter'];
+const events = ['connected', 'disconnected', 'preset'];
+const actionTypes = ['set', 'change', 'preset', 'ramp', 'delay', 'emit'];
+// names an emit action cannot use: the engine's own event, and those EventEmitter treats specially
+const reservedEvents = ['fire', 'error', 'newListener', 'removeListener'];
+
+/*
+ * Rules are plain objects so they can be kept in a JSON file:
+ * {
+ *     name: 'duck program for podium',
+ *     when: { id: 500, is: 'on' },        // a condition, see below
+ *     on: 'preset',                       // or instead of when: connected, disconnected or preset
+ *     preset: 3,                          // with on: preset, only that preset
+ *     then: [{ ramp: 1000, to: -20, unit: 'dB', durationMs: 500 }],
+ *     else: [{ ramp: 1000, to: 0, unit: 'dB', durationMs: 2000 }],
+ *     debounceMs: 200,                    // the condition must hold this long before then or else runs
+ *     hysteresis: 3,                      // how far back past an above/below threshold a value must go to release
+ * }
+ *
+ * Conditions compare one control, in API units by default or converted with unit dB or meter (using min and max
+ * as the range), or combine other conditions:
+ *     { id, unit, min, max, above, below, equals }
+ *     { id, is: 'on' | 'off' }
+ *     { all: [conditions] }, { any: [conditions] }, { not: condition }
+ *
+ * Actions run one after another:
+ *     { set: id, value, unit }            // unit api, dB or pct, or on/off values such as 'on', 'mute' or false
+ *     { change: id, by, unit }            // unit api, dB or pct
+ *     { preset: n }
+ *     { ramp: id, to, unit, durationMs, curve }
+ *     { delay: ms }
+ *     { emit: 'event name', data }        // emitted on the rule engine, any name but fire, error, newListener
+ *                                         // and removeListener
+ */
+
+/**
+ * @param {object} condition - a condition, see above
+ * @param {function} ids - called with each control ID the condition reads
+ */
+function conditionIds(condition, ids) {
+    if (condition.all) condition.all.forEach((c) => conditionIds(c, ids));
+    else if (condition.any) condition.any.forEach((c) => conditionIds(c, ids));
+    else if (condition.not) conditionIds(condition.not, ids);
+    else ids(condition.id);
+}
+
+/**
+ * Checks a rule and fills in its defaults
+ * @param {object} rule - the rule, see above
+ * @return {object} the checked rule
+ */
+function parseRule(rule) {
+    const { name, when, on, preset, debounceMs = 0, hysteresis = 0 } = rule;
+    if (typeof name !== 'string' || name === '') throw new Error('rule needs a name');
+    if (!when && !on) throw new Error(`rule ${name} needs when or on`);
+    if (on && !events.includes(on)) throw new Error(`rule ${name} invalid event ${on}`);
+
+    const ids = new Set();
+    if (when) {
+        const check = (condition) => {
+            if (condition.all || condition.any) (condition.all || condition.any).forEach(check);
+            else if (condition.not) check(condition.not);
+            else if (!Number.isInteger(condition.id)) throw new Error(`rule ${name} condition needs a control id`);
+            else if (condition.unit && !conditionUnits.includes(condition.unit))
+                throw new Error(`rule ${name} invalid unit ${condition.unit}`);
+        };
+        check(when);
+        conditionIds(when, (id) => ids.add(id));
+    }
+
+    const actions = (list = []) =>
+        list.map((action) => {
+            const type = actionTypes.find((t) => t in action);
+            if (!type) throw new Error(`rule ${name} unknown action ${JSON.stringify(action)}`);
+            if (type === 'emit' && (typeof action.emit !== 'string' || action.emit === ''))
+                throw new Error(`rule ${name} emit needs an event name`);
+            if (type === 'emit' && reservedEvents.includes(action.emit))
+                throw new Error(`rule ${name} cannot emit ${action.emit}`);
+            if (type === 'set' && units.actionToAPI(action.value, action.unit, action) === undefined)
+                throw new Error(`rule ${name} invalid value ${action.value} for control ${action.set}`);
+            if (type === 'change' && units.deltaToAPI(action.by, action.unit, action) === undefined)
+                throw new Error(`rule ${name} invalid change ${action.by} for control ${action.change}`);
+            return { type, ...action };
+        });
+
+    return { name, when, on, preset, debounceMs, hysteresis, then: actions(rule.then), else: actions(rule.else), ids };
+}
+
+/**
+ * Rules that run actions when control values or the connection change, available as `sym.rules`.
+ * A rule with `when` runs `then` each time its condition becomes true and `else` each time it becomes false
+ * again, evaluated as pushes arrive. A rule with `on` runs `then` every time the event happens, if its `when`
+ * condition (if any) holds at the time.
+ *
+ * In dry run mode rules are evaluated as usual but their actions are logged instead of run.
+ *
+ * Events:
+ * - fire: `{ rule, branch, dryRun }` when a rule's then or else actions start
+ * - any name used by an emit action, with `{ rule, data }`
+ */
+class RuleEngine extends EventEmitter {
+    constructor(sym) {
+        super();
+        this.sym = sym;
+        this.dryRun = false;
+        this._rules = new Map(); // name => { rule, active, timer, running }
+
+        sym.on('push', (pushed) => this._onPush(pushed));
+        sym.on('connected', () => this._onEvent('connected'));
+        sym.on('disconnected', () => this._onEvent('disconnected'));
+        sym.on('preset', (id) => this._onEvent('preset', id));
+    }
+
+    /**
+     * Adds a rule, replacing any rule with the same name
+     * @param {object} rule - the rule, see rules.js
+     */
+    add(rule) {
+        const parsed = parseRule(rule);
+        this.remove(parsed.name);
+        this._rules.set(parsed.name, { rule: parsed, active: false, timer: undefined, running: Promise.resolve() });
+    }
+
+    /**
+     * Adds rules from JSON
+     * @param {string|Array|object} json - an array of rules, or `{ rules: [] }`, or either as JSON text
+     */
+    load(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const rules = Array.isArray(data) ? data : data.rules;
+        if (!Array.isArray(rules)) throw new Error('rules JSON needs an array of rules');
+        // check every rule first so a bad file adds none of them
+        rules.forEach(parseRule);
+        rules.forEach((rule) => this.add(rule));
+    }
+
+    /**
+     * @param {string} name - the rule name
+     * @return {boolean} true if there was a rule to remove
+     */
+    remove(name) {
+        const state = this._rules.get(name);
+        if (state) clearTimeout(state.timer);
+        return this._rules.delete(name);
+    }
+
+    clear() {
+        [...this._rules.keys()].forEach((name) => this.remove(name));
+    }
+
+    /**
+     * @return {Array} `{ name, active }` for each rule, where active is whether its condition last held
+     */
+    list() {
+        return [...this._rules.values()].map(({ rule, active }) => ({ name: rule.name, active }));
+    }
+
+    _value(id) {
+        return this.sym.getCached(id);
+    }
+
+    /**
+     * @param {object} condition - the condition to evaluate
+     * @param {boolean} active - whether the rule is currently active, for hysteresis
+     * @param {number} hysteresis - the rule's hysteresis in the condition's unit
+     * @return {boolean} the result
+     */
+    _evaluate(condition, active, hysteresis) {
+        if (condition.all) return condition.all.every((c) => this._evaluate(c, active, hysteresis));
+        if (condition.any) return condition.any.some((c) => this._evaluate(c, active, hysteresis));
+        if (condition.not) return !this._evaluate(condition.not, !active, hysteresis);
+
+        const raw = this._value(condition.id);
+        if (raw === undefined) return false;
+        if (condition.is !== undefined) {
+            return values.truthy.includes(condition.is) ? values.isOn(raw) : values.isOff(raw);
+        }
+        const { unit = 'api', min, max } = condition;
+        let value = raw;
+        if (unit === 'dB') value = conversions.apiTodB(raw, { min, max });
+        else if (unit === 'meter') value = conversions.apiToMeter(raw, { min, max });
+
+        const h = active ? hysteresis : 0;
+        if (condition.above !== undefined && !(value > condition.above - h)) return false;
+        if (condition.below !== undefined && !(value < condition.below + h)) return false;
+        if (condition.equals !== undefined && value !== condition.equals) return false;
+        return true;
+    }
+
+    _onPush(pushed) {
+        this._rules.forEach((state) => {
+            const { rule } = state;
+            if (!rule.when || rule.on || !pushed.some(({ id }) => rule.ids.has(id))) return;
+            const result = this._evaluate(rule.when, state.active, rule.hysteresis);
+            if (result === state.active) {
+                // the condition went back before the debounce time was up
+                clearTimeout(state.timer);
+                state.timer = undefined;
+                return;
+            }
+            if (state.timer) return;
+            const settle = () => {
+                state.timer = undefined;
+                state.active = result;
+                this._fire(state, result ? 'then' : 'else');
+            };
+            if (rule.debounceMs > 0) state.timer = setTimeout(settle, rule.debounceMs);
+            else settle();
+        });
+    }
+
+    _onEvent(event, preset) {
+        this._rules.forEach((state) => {
+            const { rule } = state;
+            if (rule.on !== event) return;
+            if (event === 'preset' && rule.preset !== undefined && rule.preset !== preset) return;
+            if (rule.when && !this._evaluate(rule.when, false, 0)) return;
+            this._fire(state, 'then');
+        });
+    }
+
+    _fire(state, branch) {
+        const { rule } = state;
+        const actions = rule[branch];
+        this.emit('fire', { rule: rule.name, branch, dryRun: this.dryRun });
+        if (actions.length === 0) return;
+        if (this.dryRun) {
+            console.log(`Symetrix rule ${rule.name} would run ${branch}:`, JSON.stringify(actions));
+            return;
+        }
+        // actions of one rule run in order, so else waits for then to finish
+        state.running = state.running
+            .then(async () => {
+                for (const action of actions) await this._run(rule, action);
+            })
+            .catch((err) => {
+                console.error(`Symetrix rule ${rule.name} failed:`, err.message);
+            });
+    }
+
+    _run(rule, action) {
+        const sym = this.sym;
+        const { min, max } = action;
+        switch (action.type) {
+            case 'set':
+                return sym.controlSet(action.set, units.actionToAPI(action.value, action.unit, { min, max }));
+            case 'change':
+                return sym.controlChange(action.change, units.deltaToAPI(action.by, action.unit, { min, max }));
+            case 'preset':
+                return sym.loadPreset(action.preset);
+            case 'ramp':
+                return sym.ramp(action.ramp, action.to, {
+                    unit: action.unit,
+                    durationMs: action.durationMs,
+                    curve: action.curve,
+                    min,
+                    max,
+                });
+            case 'delay':
+                return new Promise((resolve) => setTimeout(resolve, action.delay));
+            case 'emit':
+                this.emit(action.emit, { rule: rule.name, data: action.data });
+                return undefined;
+        }
+    }
+}
+
+module.exports = { RuleEngine, parseRule };
@@ -0,0 +1,330 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+
+const { units } = require('./helpers');
+
+const policies = ['skip', 'last', 'all'];
+const scheduleVersion = 1;
+
+// the longest a single timer is set for, so clock changes are picked up within the hour
+const maxTimerMs = 60 * 60 * 1000;
+
+// cron fields in order, with the range of each
+const cronFields = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'weekday', min: 0, max: 7 },
+];
+
+/**
+ * Parses a 5 field cron expression: minute, hour, day of month, month and day of week (0 or 7 is Sunday).
+ * Each field is `*`, a number, a range `a-b`, a step `*\/n` or `a-b/n`, or a comma separated list of those
+ * @param {string} expression - the cron expression
+ * @return {object} a Set of the matching values for each field, by field name
+ */
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== cronFields.length) throw new Error(`cron ${expression} needs 5 fields`);
+    const parsed = {};
+    cronFields.forEach(({ name, min, max }, i) => {
+        const matches = new Set();
+        parts[i].split(',').forEach((item) => {
+            const m = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+            if (!m) throw new Error(`cron ${expression} invalid ${name} ${item}`);
+            const low = m[1] === '*' ? min : Number(m[2]);
+            const high = m[1] === '*' ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : low;
+            const step = m[4] ? Number(m[4]) : 1;
+            if (low < min || high > max || low > high || step < 1)
+                throw new Error(`cron ${expression} invalid ${name} ${item}`);
+            for (let v = low; v <= high; v += step) matches.add(name === 'weekday' && v === 7 ? 0 : v);
+        });
+        parsed[name] = matches;
+    });
+    // as in cron, when both days are restricted a time matches either of them
+    parsed.anyDay = parts[2] === '*' || parts[4] === '*';
+    return parsed;
+}
+
+/**
+ * @param {object} cron - a parsed cron expression
+ * @param {Date} after - the time to search from
+ * @return {Date|undefined} the first time after `after` that matches, in local time, or undefined if there is
+ * none in the next five years
+ */
+function nextCronTime(cron, after) {
+    const t = new Date(after.getTime());
+    t.setSeconds(0, 0);
+    t.setMinutes(t.getMinutes() + 1);
+    const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (t.getTime() < limit) {
+        if (!cron.month.has(t.getMonth() + 1)) {
+            t.setMonth(t.getMonth() + 1, 1);
+            t.setHours(0, 0);
+            continue;
+        }
+        const day = cron.day.has(t.getDate());
+        const weekday = cron.weekday.has(t.getDay());
+        if (cron.anyDay ? !(day && weekday) : !(day || weekday)) {
+            t.setDate(t.getDate() + 1);
+            t.setHours(0, 0);
+            continue;
+        }
+        if (!cron.hour.has(t.getHours())) {
+            t.setHours(t.getHours() + 1, 0);
+            continue;
+        }
+        if (!cron.minute.has(t.getMinutes())) {
+            t.setMinutes(t.getMinutes() + 1);
+            continue;
+        }
+        return t;
+    }
+    return undefined;
+}
+
+/**
+ * Runs actions on a Symetrix device at set times, from cron expressions or once at a given time. The schedule
+ * is saved to a JSON file whenever it changes or a job runs, so it survives restarts.
+ *
+ * Entries look like:
+ * {
+ *     name: 'open',
+ *     cron: '0 7 * * 1-5',            // or at: '2021-06-01T19:30:00' to run once
+ *     action: { preset: 2 },          // or { set: id, value, unit }, or { restore, only, exclude, ramp } where
+ *                                     // restore is a snapshot or the path to a snapshot file
+ *     missed: 'last',                 // what to do about times missed while not running, see below
+ * }
+ *
+ * Times missed while the scheduler was not running are handled at start() by the entry's `missed` policy, or
+ * the scheduler's: skip them, run the last one, or run all of them in order.
+ *
+ * Events:
+ * - done: `{ name, scheduledAt, result }` when a job's command succeeded
+ * - failed: `{ name, scheduledAt, error }` when it was rejected
+ * - skipped: `{ name, scheduledAt }` for each missed time that is not caught up on
+ */
+class Scheduler extends EventEmitter {
+    /**
+     * @param {Symetrix} sym - the instance to run jobs on
+     * @param {object} [options]
+     * @param {string} [options.file] - the JSON file to keep the schedule in, if any
+     * @param {string} [options.missed] - skip, last or all, defaults to skip
+     */
+    constructor(sym, { file, missed = 'skip' } = {}) {
+        super();
+        if (!policies.includes(missed)) throw new Error(`Scheduler invalid missed policy ${missed}`);
+        this.sym = sym;
+        this.file = file;
+        this.missed = missed;
+        this._entries = new Map(); // name => entry
+        this._timer = undefined;
+        this._running = false;
+    }
+
+    /**
+     * Loads the schedule file, handles missed jobs and starts running jobs as they come due
+     * @return {Promise} resolves once missed jobs have been handled
+     */
+    async start() {
+        if (this.file) {
+            const text = await fs.promises.readFile(this.file, 'utf8').catch((err) => {
+                if (err.code === 'ENOENT') return undefined;
+                throw err;
+            });
+            if (text) {
+                const data = JSON.parse(text);
+                if (data.version !== scheduleVersion)
+                    throw new Error(`Schedule version ${data.version} is not supported`);
+                data.entries.forEach((entry) => this._entries.set(entry.name, this._check(entry)));
+            }
+        }
+        this._running = true;
+        await this._catchUp(new Date());
+        this._arm();
+    }
+
+    stop() {
+        this._running = false;
+        clearTimeout(this._timer);
+    }
+
+    /**
+     * Adds an entry, replacing any entry with the same name
+     * @param {object} entry - the entry, see Scheduler
+     * @return {Promise} resolves with the entry once the schedule has been saved
+     */
+    async add(entry) {
+        const checked = this._check(entry);
+        if (checked.at && new Date(checked.at) <= new Date())
+            throw new Error(`schedule entry ${checked.name} is in the past`);
+        this._entries.set(checked.name, checked);
+        this._arm();
+        await this.save();
+        return { ...checked, nextRun: this._nextRun(checked, new Date()) };
+    }
+
+    /**
+     * @param {string} name - the entry name
+     * @return {Promise} resolves with true if there was an entry to remove, once the schedule has been saved
+     */
+    async remove(name) {
+        const removed = this._entries.delete(name);
+        this._arm();
+        if (removed) await this.save();
+        return removed;
+    }
+
+    /**
+     * @return {Array} every entry with its `nextRun` time
+     */
+    list() {
+        const now = new Date();
+        return [...this._entries.values()].map((entry) => ({ ...entry, nextRun: this._nextRun(entry, now) }));
+    }
+
+    /**
+     * Writes the schedule to the file, if there is one
+     * @return {Promise}
+     */
+    save() {
+        if (!this.file) return Promise.resolve();
+        const data = { version: scheduleVersion, entries: [...this._entries.values()] };
+        return fs.promises.writeFile(this.file, JSON.stringify(data, null, 4));
+    }
+
+    _check(entry) {
+        const { name, cron, at, action, missed } = entry;
+        if (typeof name !== 'string' || name === '') throw new Error('schedule entry needs a name');
+        if (!cron === !at) throw new Error(`schedule entry ${name} needs either cron or at`);
+        if (cron) parseCron(cron);
+        if (at && Number.isNaN(new Date(at).getTime())) throw new Error(`schedule entry ${name} invalid at ${at}`);
+        if (!action || !['preset', 'set', 'restore'].some((type) => type in action))
+            throw new Error(`schedule entry ${name} needs a preset, set or restore action`);
+        if ('set' in action && units.actionToAPI(action.value, action.unit, action) === undefined)
+            throw new Error(`schedule entry ${name} invalid value ${action.value} for control ${action.set}`);
+        if (missed !== undefined && !policies.includes(missed))
+            throw new Error(`schedule entry ${name} invalid missed policy ${missed}`);
+        return { ...entry, createdAt: entry.createdAt || new Date().toISOString() };
+    }
+
+    /**
+     * @param {object} entry - the entry
+     * @param {Date} after - the time to search from
+     * @return {Date|undefined} when the entry next runs after `after`
+     */
+    _nextRun(entry, after) {
+        if (entry.at) {
+            const at = new Date(entry.at);
+            return entry.lastRun || at <= after ? undefined : at;
+        }
+        return nextCronTime(parseCron(entry.cron), after);
+    }
+
+    /**
+     * Runs or skips the times each entry was due between its last run (or creation) and now
+     */
+    async _catchUp(now) {
+        for (const entry of [...this._entries.values()]) {
+            const since = new Date(entry.lastRun || entry.createdAt);
+            const due = [];
+            if (entry.at) {
+                const at = new Date(entry.at);
+                if (!entry.lastRun && at <= now) due.push(at);
+            } else {
+                const cron = parseCron(entry.cron);
+                // bounded so a schedule left for years does not hold up the start
+                for (let t = nextCronTime(cron, since); t && t <= now && due.length < 1000; t = nextCronTime(cron, t))
+                    due.push(t);
+            }
+            if (due.length === 0) continue;
+
+            const policy = entry.missed || this.missed;
+            const run = policy === 'all' ? due : policy === 'last' ? due.slice(-1) : [];
+            due.filter((t) => !run.includes(t)).forEach((t) => {
+                this.emit('skipped', { name: entry.name, scheduledAt: t });
+            });
+            for (const t of run) await this._runJob(entry, t);
+            if (run.length === 0) await this._finish(entry, due[due.length - 1]);
+        }
+    }
+
+    _arm() {
+        clearTimeout(this._timer);
+        if (!this._running) return;
+        const now = new Date();
+        let next;
+        this._entries.forEach((entry) => {
+            const t = this._nextRun(entry, now);
+            if (t && (!next || t < next)) next = t;
+        });
+        if (!next) return;
+        const delay = Math.min(Math.max(next.getTime() - Date.now(), 0), maxTimerMs);
+        this._timer = setTimeout(() => this._onTimer(), delay);
+    }
+
+    async _onTimer() {
+        const now = new Date();
+        const due = [];
+        this._entries.forEach((entry) => {
+            const t = this._lastDue(entry, now);
+            if (t) due.push({ entry, t });
+        });
+        // a job that takes a while must not hold up the timer for the next one
+        this._arm();
+        for (const { entry, t } of due) await this._runJob(entry, t);
+        this._arm();
+    }
+
+    // the latest time an entry was due since it last ran, if it has been due
+    _lastDue(entry, now) {
+        if (entry.at) {
+            const at = new Date(entry.at);
+            return !entry.lastRun && at <= now ? at : undefined;
+        }
+        const cron = parseCron(entry.cron);
+        let last;
+        const since = new Date(entry.lastRun || entry.createdAt);
+        for (let t = nextCronTime(cron, since); t && t <= now; t = nextCronTime(cron, t)) last = t;
+        return last;
+    }
+
+    /**
+     * Runs one job and reports how it went
+     * @param {object} entry - the entry
+     * @param {Date} scheduledAt - the time the job was due
+     */
+    async _runJob(entry, scheduledAt) {
+        try {
+            const result = await this._action(entry.action);
+            this.emit('done', { name: entry.name, scheduledAt, result });
+        } catch (error) {
+            this.emit('failed', { name: entry.name, scheduledAt, error });
+        }
+        await this._finish(entry, scheduledAt);
+    }
+
+    // records the run, dropping one shot entries, and saves the schedule
+    async _finish(entry, scheduledAt) {
+        entry.lastRun = scheduledAt.toISOString();
+        if (entry.at) this._entries.delete(entry.name);
+        await this.save().catch((err) => {
+            console.error('Symetrix scheduler could not save the schedule:', err.message);
+        });
+    }
+
+    async _action(action) {
+        const sym = this.sym;
+        if ('preset' in action) return sym.loadPreset(action.preset);
+        if ('set' in action) {
+            const { min, max } = action;
+            return sym.controlSet(action.set, units.actionToAPI(action.value, action.unit, { min, max }));
+        }
+        const { restore, only, exclude, ramp } = action;
+        const snap = typeof restore === 'string' ? await fs.promises.readFile(restore, 'utf8') : restore;
+        return sym.restoreSnapshot(snap, { only, exclude, ramp });
+    }
+}
+
+module.exports = { Scheduler, parseCron, nextCronTime };
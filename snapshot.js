@@ -0,0 +1,100 @@
+const snapshotVersion = 1;
+
+/*
+ * Snapshots are plain objects that can be passed straight to JSON.stringify:
+ * {
+ *     version: 1,
+ *     host: '172.16.10.200',
+ *     capturedAt: '2021-06-01T12:00:00.000Z',
+ *     preset: 3,              // the last preset loaded, or null if it could not be read
+ *     ranges: [{ low, high }],
+ *     values: { 1000: 32768, ... }
+ * }
+ */
+
+/**
+ * @param {number} id - the control ID
+ * @param {Array} list - control IDs and/or `{ low, high }` ranges
+ * @return {boolean} true if the ID is in the list
+ */
+function matches(id, list) {
+    return list.some((item) => (typeof item === 'number' ? item === id : id >= item.low && id <= item.high));
+}
+
+/**
+ * Checks that a snapshot, or its JSON, is in a format this version can restore
+ * @param {string|object} snapshot - the snapshot or its JSON
+ * @return {object} the snapshot
+ */
+function parseSnapshot(snapshot) {
+    const snap = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+    if (!snap || typeof snap.values !== 'object') throw new Error('Snapshot has no values');
+    if (snap.version !== snapshotVersion) throw new Error(`Snapshot version ${snap.version} is not supported`);
+    return snap;
+}
+
+/**
+ * Compares two snapshots, or a snapshot and current values, control by control
+ * @param {object} a - the earlier snapshot
+ * @param {object} b - the later snapshot
+ * @return {Array} `{ id, before, after }` for every control that differs, sorted by ID. A control that is
+ * only in one of the snapshots has undefined for the other value
+ */
+function diffSnapshot(a, b) {
+    const ids = new Set([...Object.keys(a.values), ...Object.keys(b.values)].map(Number));
+    return [...ids]
+        .sort((x, y) => x - y)
+        .map((id) => ({ id, before: a.values[id], after: b.values[id] }))
+        .filter(({ before, after }) => before !== after);
+}
+
+/**
+ * Reads ranges of controls from the device into a snapshot
+ * @param {Symetrix} sym - the instance to read through
+ * @param {Array} ranges - `{ low, high }` ranges of control IDs
+ * @return {Promise} resolves with the snapshot
+ */
+async function captureSnapshot(sym, ranges) {
+    const values = {};
+    for (const { low, high } of ranges) {
+        const block = await sym.controlGetRange({ low, high });
+        block.forEach(({ id, value }) => {
+            values[id] = value;
+        });
+    }
+    // the preset is only context for whoever restores the snapshot so a failure to read it is not fatal
+    const preset = await sym.getPreset().then(Number, () => null);
+    return {
+        version: snapshotVersion,
+        host: sym.host,
+        capturedAt: new Date().toISOString(),
+        preset,
+        ranges: ranges.map(({ low, high }) => ({ low, high })),
+        values,
+    };
+}
+
+/**
+ * Writes back the controls in a snapshot that differ from what the device has now
+ * @param {Symetrix} sym - the instance to write through
+ * @param {object} snapshot - the snapshot to restore
+ * @param {object} [options]
+ * @param {Array} [options.only] - control IDs and/or ranges to restore, everything else is left alone
+ * @param {Array} [options.exclude] - control IDs and/or ranges to leave alone
+ * @param {object} [options.ramp] - ramp options (see Symetrix.ramp) to fade to the restored values instead
+ * @return {Promise} resolves with `{ id, before, after }` for each control that was written
+ */
+async function restoreSnapshot(sym, snapshot, { only, exclude, ramp } = {}) {
+    const snap = parseSnapshot(snapshot);
+    const current = await captureSnapshot(sym, snap.ranges);
+    const changes = diffSnapshot(current, snap).filter(
+        ({ id, after }) =>
+            typeof after === 'number' && (!only || matches(id, only)) && (!exclude || !matches(id, exclude))
+    );
+
+    const write = ({ id, after }) => (ramp ? sym.ramp(id, after, { ...ramp, unit: 'api' }) : sym.controlSet(id, after));
+    await Promise.all(changes.map(write));
+    return changes;
+}
+
+module.exports = { captureSnapshot, restoreSnapshot, diffSnapshot, parseSnapshot, snapshotVersion };
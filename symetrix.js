@@ -1,21 +1,35 @@
 const net = require('net');
+const dgram = require('dgram');
 const EventEmitter = require('events');
 
-const { getCommand } = require('./api');
+const { commands, getCommand, registerCommand } = require('./api');
+const {
+    TimeoutError,
+    NakError,
+    NotConnectedError,
+    ConnectionClosedError,
+    AbortError,
+    QueueFullError,
+} = require('./errors');
+const { SendQueue, lanes } = require('./queue');
+const { ControlCache } = require('./cache');
+const { Control, ControlMap } = require('./controls');
+const { Ramp, curves } = require('./ramp');
+const { createLink } = require('./links');
+const { conversions, validation, ranges } = require('./helpers');
+const snapshot = require('./snapshot');
+const { Meters } = require('./meters');
+const { LinkHealth } = require('./health');
+const { Poller } = require('./poller');
+const { RuleEngine } = require('./rules');
+const { PolicyEngine } = require('./policy');
+const { Journal } = require('./journal');
+const { Framer } = require('./framer');
+const { Recorder } = require('./recorder');
 
-function validRange(value, low, high) {
-    if (typeof value !== 'number') return false;
-    if (value < low || value > high) return false;
-    return true;
-}
+const { validRange, validControlId, validControlValue } = validation;
 
-function validControlId(id) {
-    return validRange(id, 0, 10000);
-}
-
-function validControlValue(value) {
-    return validRange(value, 0, 65535);
-}
+const maxBlockSize = 256; // the most control IDs a single GSB3 request can read
 
 /**
  * Implements v7.0 of the Composer Control Protocol from Symetrix
@@ -23,7 +37,8 @@ function validControlValue(value) {
  * The command/response structure of the API is straightforward to implement. A FIFO queue is
  * created to ensure that each sent command is sent in order and a response is received before
  * sending the next command. If a response is not received within the _noResponseTimeout window
- * it is assumed to be lost and the next command is sent.
+ * it is assumed to be lost and the next command is sent. Commands can be sent over TCP (the default) or UDP,
+ * in which case a command that gets no response is retransmitted before moving on.
  *
  * The difficulty comes in because the Composer endpoint can also be configured to push
  * unsolicited updates which there is not a unique format or header for so it's difficult to know
@@ -38,42 +53,167 @@ function validControlValue(value) {
  * a couple tenths of a dB is not usually significant, but should be noted
  */
 class Symetrix extends EventEmitter {
-    constructor({ host, retryTimeout = 20000, debug = false }) {
+    constructor({
+        host,
+        port = 48631,
+        transport = 'tcp',
+        retransmits = 2,
+        retryTimeout = 20000,
+        retryMin = 1000,
+        retryFactor = 2,
+        retryJitter = 0.25,
+        offlineQueue = false,
+        controlMap,
+        maxQueueDepth = Infinity,
+        timeout = 2000,
+        heartbeat = false,
+        journal = false,
+        record,
+        socket,
+        debug = false,
+    }) {
         super();
         if (typeof host !== 'string' || !net.isIPv4(host)) {
             console.error('Bad host assignment');
             return;
         }
+        if (transport !== 'tcp' && transport !== 'udp') {
+            console.error('Bad transport assignment');
+            return;
+        }
         this._debug = debug;
         this.host = host;
-        this.port = 48631;
-        this.retryTimeout = retryTimeout;
+        this.port = port;
+        this.transport = transport;
+        this._socket = socket; // a stand in for the TCP connection supplied by the caller, see _connect()
+        this.retransmits = retransmits; // number of times to resend a UDP command that got no response
+        this.retryTimeout = retryTimeout; // the longest wait between reconnection attempts, 0 disables reconnection
+        this.retryMin = retryMin; // the wait before the first reconnection attempt
+        this.retryFactor = retryFactor; // how much the wait grows after each failed attempt
+        this.retryJitter = retryJitter; // fraction of the wait that is randomized so many clients don't retry together
+        this._retryAttempt = 0;
+
+        // commands issued while disconnected are held until reconnection instead of being rejected
+        this.offlineQueue = offlineQueue ? { maxAge: 30000, maxDepth: 100, ...offlineQueue } : false;
+
+        this.state = 'connecting';
+        this._closing = false;
+
+        // push configuration to re-apply whenever the connection is re-established
+        this._pushSettings = { ranges: [], interval: undefined, threshold: undefined };
+        this._pushRefs = new Map(); // id => number of acquirePush() calls not yet released
+
+        this._noResponseTimeout = timeout; // reject and let the next command go through if no response is received
 
-        this._noResponseTimeout = 2000; // let the next command go through if no response is received
+        // sorts received lines into pushes and replies to the command in flight
+        this._framer = new Framer();
+        this._framer.on('push', (values) => this.emit('push', values));
+        this._framer.on('reply', (lines) => this._onReply(lines));
+        this._framer.on('nak', () => this._onNak());
+        this._framer.on('unexpected', (line) => {
+            if (this._debug) console.log('Unexpected line from Symetrix', line);
+            this.emit('unexpected', line);
+        });
 
-        this._recvBuffer = '';
-        this._sendBuffer = []; // FIFO buffer for sending over the UDP connection
+        this._sendBuffer = new SendQueue({ maxDepth: maxQueueDepth }); // commands waiting to be sent, by priority
         this._readyToSend = true;
 
-        this._nextResponse = undefined;
-        this._nextCb = undefined;
+        this._inFlight = undefined; // the command that has been sent and is waiting for its response
+
+        // mirror of every control value seen, kept up to date from pushes, reads and acknowledged writes
+        this._cache = new ControlCache();
+        this._mirrored = []; // ranges that are re-read after every reconnect
+        this._ramps = new Map(); // the running ramp for each control ID
+        this.meters = new Meters(this);
+
+        // link quality figures, and with a heartbeat a status that forces a reconnect once the link is dead
+        this._health = new LinkHealth(this, heartbeat);
+        this._health.on('health', (stats) => this.emit('health', stats));
+        this._health.on('dead', () => this._onDead());
+        this.on('push', (values) => values.forEach(({ id, value }) => this._updateCache(id, value, 'push')));
+        // after the cache listener so rules evaluate pushes against the updated values
+        this.rules = new RuleEngine(this);
+        this.policies = new PolicyEngine(this);
+        // successful writes and what they replaced, for undo and redo
+        this.journal = journal ? new Journal(this, journal) : undefined;
+        this.poller = new Poller(this);
+        this.on('disconnected', () => this._cache.markStale());
+        this.on('connected', () => {
+            this._mirrored.forEach((range) =>
+                this.controlGetRange(range).catch((err) => {
+                    console.error('Symetrix could not refresh mirrored controls:', err.message);
+                })
+            );
+        });
 
         this.on('readyToSend', () => {
-            this._nextResponse = undefined;
-            this._nextCb = undefined;
-            if (this._sendBuffer.length > 0) {
-                const { command, regex, cb } = this._sendBuffer.shift();
-                this._send(command, regex, cb);
-            } else this._readyToSend = true;
+            this._inFlight = undefined;
+            this._framer.expect(undefined);
+            if (this._sendBuffer.length > 0) this._send(this._sendBuffer.shift());
+            else this._readyToSend = true;
         });
 
+        if (controlMap) this.setControlMap(controlMap);
+        if (record) this.startRecording(record);
+
+        this._connect();
+    }
+
+    /**
+     * Opens the TCP connection or UDP socket to the Symetrix device depending on the configured transport.
+     *
+     * With the socket option nothing is opened and the instance runs over the given stand in instead, e.g. to
+     * replay a capture. It needs `write(data)`, `destroy()` (which emits close) and a `readyState` of open while
+     * connected, and emits connect once commands can be written, data with each received chunk and close when
+     * the link drops. The instance waits in reconnecting for the next connect, as reconnecting is up to the caller
+     */
+    _connect() {
+        if (this._socket) {
+            this.sock = this._socket;
+            this.sock.on('connect', () => this._onConnected());
+            this.sock.on('data', (data) => this._onData(data));
+            this.sock.on('close', () => {
+                const wasConnected = this.state === 'connected';
+                this._rejectPending(ConnectionClosedError, 'Symetrix connection closed');
+                if (wasConnected) this.emit('disconnected');
+                this._setState(this._closing ? 'closed' : 'reconnecting');
+            });
+            return;
+        }
+
+        if (this.transport === 'udp') {
+            // connecting a datagram socket only fixes the remote address, nothing is sent until the first command
+            this._udpConnected = false;
+            this.sock = dgram.createSocket('udp4');
+
+            this.sock.on('connect', () => {
+                this._udpConnected = true;
+                this._onConnected();
+            });
+
+            this.sock.on('error', (err) => {
+                console.error('Symetrix connection error:', err);
+            });
+
+            this.sock.on('close', () => {
+                this._udpConnected = false;
+                this._rejectPending(ConnectionClosedError, 'Symetrix socket closed');
+                this._setState('closed');
+            });
+
+            this.sock.on('message', (msg) => this._onData(msg.toString('utf8')));
+            this.sock.connect(this.port, this.host);
+            return;
+        }
+
         // eslint-disable-next-line new-cap
         this.sock = new net.createConnection({ port: this.port, host: this.host });
         this.sock.setEncoding('utf8');
 
         this.sock.on('ready', () => {
             // console.log('Symetrix ready');
-            this.emit('connected');
+            this._retryAttempt = 0;
+            this._onConnected();
         });
 
         this.sock.on('error', (err) => {
@@ -82,69 +222,166 @@ class Symetrix extends EventEmitter {
 
         this.sock.on('close', () => {
             // console.log('Closed');
-            // attempt reconnection after timeout
-            if (this.retryTimeout > 0)
-                setTimeout(() => {
-                    this.sock.connect(this.port, this.host);
-                }, this.retryTimeout);
-        });
+            const wasConnected = this.state === 'connected';
+            if (this.offlineQueue && !this._closing) this._holdPending();
+            else this._rejectPending(ConnectionClosedError, 'Symetrix connection closed');
+            if (wasConnected) this.emit('disconnected');
 
-        this.sock.on('data', (data) => {
-            // Composer Control spec defines that a response will never be split between \r
-            // so if the last character is not \r it means that the local network stack has split the
-            // incoming packet(s) and we need to rebuild the sent message
-            if (data.slice(-1) !== '\r') {
-                this._recvBuffer += data;
+            if (this._closing || this.retryTimeout <= 0) {
+                this._rejectPending(NotConnectedError, 'Symetrix connection closed');
+                this._setState('closed');
                 return;
             }
-            data = this._recvBuffer + data;
-            this._recvBuffer = '';
-
-            // search for the nextResponse
-            const split = this._nextResponse ? data.search(this._nextResponse) : -1;
-
-            // for some reason nextResponse can be found in the middle of the data string when a push
-            // is happening at the same time as an expected response is being generated/sent
-            // I assume this has to do with the underlying socket or OS concatenating packets before
-            // the data is allowed to be read here but it could also be a bug on the server side of the
-            // Composer API. Regardless, it makes this next chunk required
-            let pushData, respData;
-
-            // couldn't find the expected repsonse so should just be a push
-            if (split < 0) pushData = data;
-            // the expected response is at the beginning so should just be the expected response
-            else if (split === 0) respData = data;
-            // this is likely the end of a push with the expected response glued onto the end
-            else {
-                pushData = data.slice(0, split);
-                respData = data.slice(split);
-            }
+            // attempt reconnection after an exponentially growing delay
+            const delay = this._retryDelay();
+            this._retryAttempt += 1;
+            this._setState('reconnecting');
+            this.emit('reconnecting', { attempt: this._retryAttempt, delay });
+            this._retryTimer = setTimeout(() => {
+                this._setState('connecting');
+                this.sock.connect(this.port, this.host);
+            }, delay);
+        });
+
+        this.sock.on('data', (data) => this._onData(data));
+    }
+
+    _setState(state) {
+        if (state === this.state) return;
+        const previous = this.state;
+        this.state = state;
+        this.emit('state', state, previous);
+        if (state === 'closed') this.emit('closed');
+    }
+
+    /**
+     * @return {number} milliseconds to wait before the next reconnection attempt
+     */
+    _retryDelay() {
+        const delay = Math.min(this.retryTimeout, this.retryMin * Math.pow(this.retryFactor, this._retryAttempt));
+        return Math.round(delay * (1 - this.retryJitter * Math.random()));
+    }
+
+    /**
+     * Runs when the transport is ready. The push configuration from before a disconnect is re-applied
+     * ahead of any commands that were held while offline, then listeners are told about the connection
+     */
+    _onConnected() {
+        this._setState('connected');
+
+        const held = this._sendBuffer.drain();
+        this._reapplyPushSettings();
+        this._sendBuffer.restore(held);
+        if (this._readyToSend && this._sendBuffer.length > 0) this.emit('readyToSend');
+
+        this.emit('connected');
+    }
+
+    // settings are only recorded once acknowledged so there is nothing to re-apply on the first connection
+    _reapplyPushSettings() {
+        const { ranges: enabled, interval, threshold } = this._pushSettings;
+        const log = (err) => console.error('Symetrix could not re-apply push settings:', err.message);
+        if (threshold) this.pushThreshold(threshold).catch(log);
+        if (interval) this.pushInterval(interval).catch(log);
+        enabled.forEach(({ low, high }) => this.pushState(true, { low, high }).catch(log));
+    }
 
-            if (pushData) this.emit('push', this._parseMultiple(pushData));
-
-            if (respData) {
-                clearTimeout(this._noResponse); // we got a response so clear the timeout
-                // console.log('respData:', respData.replace(/\r/g, "\r\n"))
-                let response;
-                // handle the special case for GSB3
-                if (respData.slice(0, 4) === 'GSB3') {
-                    // trim the first line which is GSB3 \d{5} \d{5}\r
-                    respData = respData.substring(respData.indexOf('\r') + 1);
-                    response = this._parseMultiple(respData);
-                } else {
-                    response = this._parseSingle(respData, this._nextResponse);
+    /**
+     * Remembers a push setting once the device has acknowledged it so it can be re-applied after a reconnect.
+     * Ranges are kept as the merged ranges of controls that have push enabled, since a new connection starts
+     * with none, so enabling and disabling the same controls over and over does not grow the list
+     */
+    _recordPushSetting(setting, value) {
+        if (setting === 'range') {
+            const { enable, low, high } = value;
+            const enabled = [];
+            this._pushSettings.ranges.forEach((r) => {
+                if (r.high < low || r.low > high) enabled.push(r);
+                else {
+                    if (r.low < low) enabled.push({ low: r.low, high: low - 1 });
+                    if (r.high > high) enabled.push({ low: high + 1, high: r.high });
                 }
+            });
+            if (enable) enabled.push({ low, high });
+            this._pushSettings.ranges = ranges.toRanges(enabled);
+        } else this._pushSettings[setting] = value;
+    }
 
-                this._nextCb(null, response);
-                this.emit('readyToSend');
-            }
-        });
+    /**
+     * Handles incoming data from either transport. A UDP datagram always holds complete lines but a TCP
+     * chunk may not so both are run through the framer, which sorts the lines into pushes and replies
+     * @param {string} data - the received data
+     */
+    _onData(data) {
+        if (this._recorder) this._recorder.received(data, this._inFlight);
+        this._framer.write(data);
+    }
+
+    /**
+     * Settles the command in flight with its reply
+     * @param {Array} lines - the lines of the reply, without their \r
+     */
+    _onReply(lines) {
+        const entry = this._inFlight;
+        if (!entry) return;
+        clearTimeout(this._noResponse); // we got a response so clear the timeout
+        let response;
+        if (entry.raw) response = !entry.shape || entry.shape === 'line' ? lines[0] : lines;
+        else if (entry.shape === 'block') response = this._parseMultiple(lines.slice(1).join('\r'));
+        else if (entry.shape === 'list' || entry.shape === 'lines') response = lines.map(Number);
+        else if (entry.shape === 'values') {
+            response = lines.map((line) => {
+                const [id, value] = line.split(' ').map(Number);
+                return { id, value };
+            });
+        } else if (entry.shape === 'pairs') {
+            response = {};
+            lines.forEach((line) => {
+                const eq = line.indexOf('=');
+                response[line.slice(0, eq)] = line.slice(eq + 1);
+            });
+        } else response = this._parseSingle(`${lines[0]}\r`, entry.regex);
+        entry.cb(null, response);
+        this.emit('readyToSend');
+    }
+
+    _onNak() {
+        const entry = this._inFlight;
+        if (!entry) return;
+        clearTimeout(this._noResponse);
+        entry.cb(new NakError(`Symetrix NAK for ${entry.command.trim()}`, entry));
+        this.emit('readyToSend');
     }
 
     destructor() {
+        this._closing = true;
+        clearTimeout(this._retryTimer);
+        this._health.stop();
+        this.poller.stop();
+        this.meters.close();
+        if (this.transport === 'udp') this.sock.close();
+        else if (this.sock.destroyed) {
+            // already disconnected and waiting to reconnect so there is no close event to come
+            this._rejectPending(NotConnectedError, 'Symetrix connection closed');
+            this._setState('closed');
+        } else this.sock.destroy();
+    }
+
+    /**
+     * Drops a TCP connection that has stopped answering so it is re-established. A UDP socket has no
+     * connection to re-establish so there the status is only reported
+     */
+    _onDead() {
+        if (this.transport !== 'tcp' || this.sock.destroyed) return;
+        console.error('Symetrix connection is not answering, reconnecting');
         this.sock.destroy();
     }
 
+    _isOpen() {
+        if (this.transport === 'udp') return this._udpConnected;
+        return this.sock.readyState === 'open' || this.sock.readyState === 'writeOnly';
+    }
+
     _parseMultiple(data) {
         const regex = /#(?<id>\d{5})=(?<ret>\d{5})/g; // all multiline responses are in this format
         const response = [];
@@ -156,96 +393,362 @@ class Symetrix extends EventEmitter {
 
     _parseSingle(data, regex) {
         const m = data.match(regex);
+        // registered commands may not use the ret, ack and nak groups, so fall back to the whole line
+        const groups = (m && m.groups) || {};
 
-        if (m.groups.ret) return m.groups.ret;
-        else if (m.groups.ack) return true;
-        else if (m.groups.nak) return false;
-        else {
-            // Should never get here
-            console.error('Unkown response format', data);
-        }
+        if (groups.ret) return groups.ret;
+        else if (groups.ack) return true;
+        else if (groups.nak) return false;
+        else return data.trim();
     }
 
-    async reqToSend(command, regex, cb) {
-        // if send buffer is empty, call this._send
-        // else add command, regex, cb to buffer
+    /**
+     * Queues a command for sending. The callback is always called exactly once, either with the parsed
+     * response or with one of the errors from errors.js
+     * @param {string} command - the full command string including the trailing \r
+     * @param {RegExp} regex - the expected response format, see respRegex in api.js
+     * @param {function} cb - node style callback receiving (err, response, replaced), replaced being true when the
+     * command was coalesced into a later one and so never sent itself
+     * @param {object} [options]
+     * @param {number} [options.timeout] - milliseconds to wait for a response, overrides the instance timeout
+     * @param {AbortSignal} [options.signal] - cancels the command if it has not been sent yet
+     * @param {number} [options.id] - the control ID the command addresses, attached to errors
+     * @param {string} [options.priority] - the send queue lane, one of urgent, normal or background
+     * @param {string} [options.coalesceKey] - a waiting command with the same key is replaced by this one and
+     * settled with this one's result
+     * @param {string} [options.shape] - how the response is framed, one of line, block, list, lines, values or
+     * pairs (see framer.js), defaults to line
+     * @param {number} [options.count] - the number of lines in a lines or values response
+     * @param {string} [options.type] - the command type its figures are kept under in stats(), e.g. the name
+     * from the commands table in api.js
+     * @param {boolean} [options.raw] - settle with the response lines as received instead of parsing them
+     */
+    async reqToSend(command, regex, cb, options = {}) {
+        const { timeout, signal, id, priority = 'normal', coalesceKey, shape, count, type, raw = false } = options;
+        // if nothing is in flight, call this._send
+        // else add the command to the buffer
         if (typeof cb !== 'function') {
             throw new Error('Callback is not a function');
         }
-        if (this._readyToSend) this._send(command, regex, cb);
-        else this._sendBuffer.push({ command, regex, cb });
+        if (!lanes.includes(priority)) return cb(Error(`reqToSend invalid priority ${priority}`));
+
+        const entry = { command, regex, shape, count, type, raw, timeout, id, priority, coalesceKey };
+        entry.superseded = []; // the waiting commands this one replaced
+        entry.replaced = false; // set once a later command replaces this one
+        const onAbort = () => {
+            // once the command is on the wire it has to run its course
+            if (this._sendBuffer.remove(entry)) entry.cb(new AbortError('Symetrix command aborted', entry));
+        };
+        entry.cb = (err, data) => {
+            clearTimeout(entry.expiry);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            this._health.record(entry, err);
+            // replaced commands settle first so anything they update is then overwritten by this command
+            entry.superseded.forEach((old) => old.cb(err, data));
+            cb(err, data, entry.replaced);
+        };
+
+        if (signal) {
+            if (signal.aborted) return entry.cb(new AbortError('Symetrix command aborted', entry));
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        if (this.offlineQueue && !this._isOpen() && this.state !== 'closed') {
+            if (this._sendBuffer.length >= this.offlineQueue.maxDepth)
+                return entry.cb(new NotConnectedError('Symetrix offline queue is full', entry));
+            this._hold(entry);
+            this._enqueue(entry);
+        } else if (this._readyToSend) {
+            entry.queuedAt = Date.now();
+            this._send(entry);
+        } else this._enqueue(entry);
+    }
+
+    _enqueue(entry) {
+        // a command that replaces a waiting one takes its place so it can't overfill the queue
+        const replaces = entry.coalesceKey && this._sendBuffer.hasKey(entry.coalesceKey);
+        if (!replaces && this._sendBuffer.isFull(entry.priority)) {
+            this._sendBuffer.rejected();
+            entry.cb(new QueueFullError(`Symetrix ${entry.priority} send queue is full`, entry));
+            return;
+        }
+        entry.superseded = this._sendBuffer.push(entry);
+        entry.superseded.forEach((old) => {
+            clearTimeout(old.expiry);
+            old.replaced = true;
+        });
+    }
+
+    /**
+     * @return {object} the depth of each send queue lane, how many commands have been sent, coalesced and
+     * turned away, and how long commands have waited to be sent in milliseconds
+     */
+    queueMetrics() {
+        return { ...this._sendBuffer.metrics(), inFlight: !!this._inFlight };
+    }
+
+    /**
+     * Link quality figures for monitoring. Round trip times are in milliseconds and, like the timeout rate, cover
+     * the last 100 commands that were sent. Each command type also has its totals and time spent in the send queue
+     * @return {object} `{ status, rtt, timeoutRate, consecutiveTimeouts, lastReplyAt, heartbeat, types, queue }`
+     * where status is ok, degraded or dead (always ok without a heartbeat), rtt and each type's rtt and wait are
+     * `{ average, min, max, last }` and types holds `{ sent, timeouts, naks, errors, rtt, wait }` by command name
+     */
+    stats() {
+        return { ...this._health.stats(), queue: this.queueMetrics() };
+    }
+
+    /**
+     * Starts writing everything sent to and received from the device to a capture, one JSON record per line
+     * with timestamps and the command each received chunk arrived during (see recorder.js). A capture can be fed
+     * back through the parser and send queue with replay(). Any recording already running is stopped
+     * @param {string|stream.Writable} target - a file path, which is overwritten, or a stream to write to
+     * @return {Recorder} the recorder
+     */
+    startRecording(target) {
+        if (this._recorder) this._recorder.stop();
+        this._recorder = new Recorder(this, target);
+        return this._recorder;
     }
 
     /**
-     * @param {String} command - the message to send to the Symetrix device
+     * Stops recording
+     * @return {Promise} resolves once the capture has been written
      */
-    _send(command, regex, cb) {
+    stopRecording() {
+        const recorder = this._recorder;
+        this._recorder = undefined;
+        return recorder ? recorder.stop() : Promise.resolve();
+    }
+
+    /**
+     * Starts the clock on a command that is being held while offline
+     * @param {object} entry - the queued command
+     */
+    _hold(entry) {
+        if (entry.expiry) return;
+        entry.expiry = setTimeout(() => {
+            this._sendBuffer.remove(entry);
+            entry.cb(new NotConnectedError('Symetrix command expired while offline', entry));
+        }, this.offlineQueue.maxAge);
+    }
+
+    /**
+     * Rejects the command in flight, which may or may not have been applied, and holds everything waiting
+     * in the send buffer until reconnection
+     */
+    _holdPending() {
+        clearTimeout(this._noResponse);
+        this._framer.reset();
+        const entry = this._inFlight;
+        this._inFlight = undefined;
+        this._readyToSend = true;
+        if (entry) entry.cb(new ConnectionClosedError('Symetrix connection closed', entry));
+        // trim the lowest priority and newest commands if more were queued than the offline queue allows
+        const queued = this._sendBuffer.drain();
+        const dropped = queued.splice(this.offlineQueue.maxDepth);
+        this._sendBuffer.restore(queued);
+        dropped.forEach((d) => d.cb(new NotConnectedError('Symetrix offline queue is full', d)));
+        this._sendBuffer.forEach((q) => this._hold(q));
+    }
+
+    /**
+     * Rejects the command in flight and everything waiting in the send buffer
+     * @param {function} ErrorType - the error class to reject with
+     * @param {string} message - the error message
+     */
+    _rejectPending(ErrorType, message) {
+        clearTimeout(this._noResponse);
+        this._framer.reset();
+        const pending = this._sendBuffer.drain();
+        if (this._inFlight) pending.unshift(this._inFlight);
+        this._inFlight = undefined;
+        this._readyToSend = true;
+        pending.forEach((entry) => entry.cb(new ErrorType(message, entry)));
+    }
+
+    /**
+     * @param {object} entry - the queued command to send to the Symetrix device
+     * @param {number} [attempt] - how many times this command has already been sent without a response
+     */
+    _send(entry, attempt = 0) {
+        const { command } = entry;
         if (this._debug) console.log(`Sending to Symetrix`, command);
-        if (this.sock.readyState === 'open' || this.sock.readyState === 'writeOnly') {
+        if (this._isOpen()) {
+            clearTimeout(entry.expiry);
+            if (attempt === 0) this._sendBuffer.sent(entry);
+            entry.sentAt = Date.now();
             this._readyToSend = false;
-            this._nextResponse = regex;
-            this._nextCb = cb;
-            this.sock.write(command);
+            this._inFlight = entry;
+            this._framer.expect(entry);
+            if (this.transport === 'udp') this.sock.send(command);
+            else this.sock.write(command);
+            if (this._recorder) this._recorder.sent(entry, attempt);
+            const timeout = typeof entry.timeout === 'number' ? entry.timeout : this._noResponseTimeout;
             this._noResponse = setTimeout(() => {
-                this.emit('readyToSend');
-            }, this._noResponseTimeout);
+                // a datagram or its response may simply have been lost so UDP commands get a few more tries
+                if (this.transport === 'udp' && attempt < this.retransmits) this._send(entry, attempt + 1);
+                else {
+                    entry.cb(new TimeoutError(`No response from Symetrix within ${timeout}ms`, entry));
+                    this.emit('readyToSend');
+                }
+            }, timeout);
+        } else if (this.offlineQueue && this.state !== 'closed') {
+            // the connection dropped while draining the queue so hold this command for the reconnect
+            this._hold(entry);
+            this._sendBuffer.unshift(entry);
+            this._inFlight = undefined;
+            this._readyToSend = true;
         } else {
-            console.error('Could not send to Symetrix. Socket not ready.');
+            entry.cb(new NotConnectedError('Could not send to Symetrix. Socket not ready.', entry));
+            this.emit('readyToSend');
         }
     }
 
-    // #region Controls
+    /**
+     * Builds a command from the commands table in api.js and queues it for sending
+     * @param {string} name - the name of the command in the commands table
+     * @param {object} [args] - the command arguments
+     * @param {object} [options] - per-call timeout, signal, priority and coalesceKey, see reqToSend(), and
+     * `detailed` to resolve with `{ data, replaced }` so a caller can tell its own command was never sent
+     * @return {Promise} resolves with the parsed response
+     */
+    _command(name, args = {}, { timeout, signal, priority, coalesceKey, detailed = false } = {}) {
+        return new Promise((resolve, reject) => {
+            const { command, response, shape, count } = getCommand(name, args);
+            const cb = (err, data, replaced) => {
+                if (err) reject(err);
+                else resolve(detailed ? { data, replaced } : data);
+            };
+            const options = { timeout, signal, priority, coalesceKey, shape, count, id: args.id, type: name };
+            this.reqToSend(command, response, cb, options);
+        });
+    }
 
     /**
-     * Use this command to move a controller position on the currently addressed unit to a new absolute value
-     * @param {number} id - the control ID to set, between 1 and 10000
-     * @param {number} value - the value to set the control ID to, between 0 and 65535
-     * @return {Promise}
+     * Sends any command from the commands table in api.js, including ones added with registerCommand(), through
+     * the send queue. The built in commands are better sent with their own methods, which check their arguments
+     * @param {string} name - the name of the command in the commands table
+     * @param {object} [args] - the command arguments by name, e.g. `{ id: 1000 }` for controlGetLegacy
+     * @param {object} [options] - `{ timeout, signal, priority }` per-call options, see reqToSend()
+     * @return {Promise} resolves with the parsed response: the ret group of a line response (or true for ACK, or
+     * the whole line if respRegex has neither), `{ id, value }` for each line of a block or values response,
+     * numbers for a list or lines response and an object of the pairs of a pairs response
      */
-    controlSet(id, value) {
+    sendCommand(name, args = {}, options) {
+        if (!(name in commands)) return Promise.reject(Error(`sendCommand unknown command ${name}`));
+        return this._command(name, { ...args }, options);
+    }
+
+    /**
+     * Sends a command string as it is through the send queue, for anything the commands table does not cover.
+     * It gets the $q prefix (see api.js) unless it already starts with $
+     * @param {string} command - the command without the trailing \r, e.g. 'GS 1000'
+     * @param {object} [options]
+     * @param {RegExp} [options.expect] - what a line response matches, tested with the trailing \r. Defaults to
+     * any line, so a line that is not a push is taken as the response
+     * @param {string} [options.shape] - how the response is framed, see reqToSend(), defaults to line
+     * @param {number} [options.count] - the number of lines in a lines or values response
+     * @param {number} [options.timeout] - milliseconds to wait for a response, overrides the instance timeout
+     * @param {AbortSignal} [options.signal] - cancels the command if it has not been sent yet
+     * @param {string} [options.priority] - the send queue lane, one of urgent, normal or background
+     * @return {Promise} resolves with the response line, or the array of lines for other shapes, and rejects
+     * with NakError if the device answers NAK
+     */
+    sendRaw(command, { expect = /.*/, shape, count, timeout, signal, priority } = {}) {
+        if (typeof command !== 'string' || command.trim() === '' || /[\r\n]/.test(command))
+            return Promise.reject(Error('sendRaw needs a single line command'));
+        if (!(expect instanceof RegExp)) return Promise.reject(Error('sendRaw expect must be a RegExp'));
+        const line = command.startsWith('$') ? command.trim() : `$q ${command.trim()}`;
         return new Promise((resolve, reject) => {
-            if (!validControlId(id) || !validControlValue(value))
-                reject(Error(`controlSet invalid id ${id} or value ${value}`));
-            const { command, response } = getCommand('controlSet', { id, value });
-            this.reqToSend(command, response, (err, data) => {
+            const cb = (err, data) => {
                 if (err) reject(err);
                 else resolve(data);
-            });
+            };
+            const options = { timeout, signal, priority, shape, count, type: 'raw', raw: true };
+            this.reqToSend(`${line}\r`, expect, cb, options);
         });
     }
 
+    _updateCache(id, value, source) {
+        const change = this._cache.update(id, value, source);
+        if (change) this.emit('change', change);
+    }
+
+    // #region Controls
+
+    /**
+     * Use this command to move a controller position on the currently addressed unit to a new absolute value.
+     * If an earlier controlSet to the same control is still waiting to be sent it is replaced by this one,
+     * and both promises settle with this command's result, unless `coalesce` is false.
+     * Rejects with PolicyError if a write policy refuses it, see `sym.policies`. With the journal option it is
+     * recorded for undo unless `journal` is false
+     * @param {number} id - the control ID to set, between 1 and 10000
+     * @param {number} value - the value to set the control ID to, between 0 and 65535
+     * @param {object} [options] - `{ timeout, signal, priority, coalesce, journal }` per-call options, see
+     * reqToSend()
+     * @return {Promise}
+     */
+    controlSet(id, value, { coalesce = true, journal = true, ...options } = {}) {
+        if (!validControlId(id) || !validControlValue(value))
+            return Promise.reject(Error(`controlSet invalid id ${id} or value ${value}`));
+        const coalesceKey = coalesce ? `controlSet ${id}` : undefined;
+        const write = (allowed) =>
+            this._command('controlSet', { id, value: allowed }, { ...options, coalesceKey, detailed: true }).then(
+                ({ data, replaced }) => {
+                    // a replaced command was never sent, the one that replaced it updates the cache
+                    if (!replaced) this._updateCache(id, allowed, 'local');
+                    return { data, sent: !replaced, value: allowed };
+                }
+            );
+        const send = () =>
+            this.policies.coversControl(id)
+                ? this.policies.checkWrite('controlSet', id, value).then(write)
+                : write(value);
+        if (this.journal && journal) return this.journal.track({ type: 'set', id }, send);
+        return send().then(({ data }) => data);
+    }
+
     /**
      * Use this command to move a controller to a new relative value. This command will increment or decrement
-     * a controller by a specified amount
+     * a controller by a specified amount. Rejects with PolicyError if a write policy refuses it, see `sym.policies`.
+     * With the journal option it is recorded for undo unless `journal` is false
      * @param {number} id - the control ID to set, between 1 and 10000
      * @param {number} value - the value to change the control ID by, between -65535 and 65535
+     * @param {object} [options] - `{ timeout, signal, priority, journal }` per-call options, see reqToSend()
      * @return {Promise}
      */
-    controlChange(id, value) {
-        return new Promise((resolve, reject) => {
-            if (!validControlId(id) || !validRange(value, -65535, 65535))
-                reject(Error(`controlChange invalid id ${id} or value ${value}`));
-            const { command, response } = getCommand('changeController', { id, value });
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
+    controlChange(id, value, { journal = true, ...options } = {}) {
+        if (!validControlId(id) || !validRange(value, -65535, 65535))
+            return Promise.reject(Error(`controlChange invalid id ${id} or value ${value}`));
+        const write = (allowed) =>
+            this._command('changeController', { id, value: allowed }, options).then((data) => {
+                // the new value can only be worked out from a value we trust, otherwise wait for a push or read
+                if (!this._cache.isStale(id)) {
+                    const next = Math.min(Math.max(this._cache.get(id) + allowed, 0), 65535);
+                    this._updateCache(id, next, 'local');
+                }
+                return { data, sent: true, value: allowed };
             });
-        });
+        const send = () =>
+            this.policies.coversControl(id)
+                ? this.policies.checkWrite('controlChange', id, value).then(write)
+                : write(value);
+        if (this.journal && journal) return this.journal.track({ type: 'change', id }, send);
+        return send().then(({ data }) => data);
     }
 
     /**
      * This command will return the controller position (value) associated with a specific controller number
      * @param {number} id - the control ID to get, between 1 and 10000
+     * @param {object} [options] - `{ timeout, signal, priority }` per-call options, see reqToSend()
      * @return {Promise}
      */
-    controlGet(id) {
-        return new Promise((resolve, reject) => {
-            if (!validControlId(id)) reject(Error(`controlGet invalid id ${id}`));
-            const { command, response } = getCommand('controlGet', { id });
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
+    controlGet(id, options) {
+        if (!validControlId(id)) return Promise.reject(Error(`controlGet invalid id ${id}`));
+        return this._command('controlGet', { id }, options).then((data) => {
+            this._updateCache(id, Number(data), 'poll');
+            return data;
         });
     }
 
@@ -253,48 +756,55 @@ class Symetrix extends EventEmitter {
      * This command will return the controller position (value) of a specific range of consecutive controller numbers.
      * @param {number} id - the first control ID to get, between 1 and 10000
      * @param {number} size - the number of consecutive control IDs to get, between 1 and 256
+     * @param {object} [options] - `{ timeout, signal, priority }` per-call options, see reqToSend()
      * @return {Promise}
      */
-    async controlGetBlock(id, size) {
-        return new Promise((resolve, reject) => {
-            if (!validControlId(id) || !validRange(size, 1, 256))
-                reject(Error(`controlGetBlock invalid id ${id} or size ${size}`));
-            const { command, response } = getCommand('controlGetBlock', { id, size });
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
-        });
+    async controlGetBlock(id, size, options) {
+        if (!validControlId(id) || !validRange(size, 1, maxBlockSize))
+            throw Error(`controlGetBlock invalid id ${id} or size ${size}`);
+        const values = await this._command('controlGetBlock', { id, size }, options);
+        values.forEach((v) => this._updateCache(v.id, v.value, 'poll'));
+        return values;
+    }
+
+    /**
+     * Reads any range of consecutive control IDs, split into as many controlGetBlock requests as needed
+     * @param {number} [low] - the first control ID to get, defaults to 1
+     * @param {number} [high] - the last control ID to get, defaults to 10000
+     * @param {number} [timeout] - milliseconds to wait for each response, overrides the instance timeout
+     * @param {AbortSignal} [signal] - cancels any of the requests that have not been sent yet
+     * @param {string} [priority] - the send queue lane, one of urgent, normal or background
+     * @return {Promise} resolves with an array of `{ id, value }`
+     */
+    async controlGetRange({ low = 1, high = 10000, timeout, signal, priority } = {}) {
+        if (!validControlId(low) || !validControlId(high) || low > high)
+            throw Error(`controlGetRange invalid range ${low} to ${high}`);
+        const blocks = [];
+        for (let id = low; id <= high; id += maxBlockSize) {
+            const size = Math.min(maxBlockSize, high - id + 1);
+            blocks.push(this.controlGetBlock(id, size, { timeout, signal, priority }));
+        }
+        return [].concat(...(await Promise.all(blocks)));
     }
     // #endregion Controls
 
     // #region Configuration
     /**
      * This command will instantly reboot the unit
+     * @param {object} [options] - `{ timeout, signal, priority }` per-call options, see reqToSend()
      * @return {Promise}
      */
-    reboot() {
-        return new Promise((resolve, reject) => {
-            const { command, response } = getCommand('reboot');
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
-        });
+    reboot(options) {
+        return this._command('reboot', {}, options);
     }
 
     /**
      * This command momentarily flashes the front panel LEDs of the unit being addressed
+     * @param {object} [options] - `{ timeout, signal, priority }` per-call options, see reqToSend()
      * @return {Promise}
      */
-    flashUnit() {
-        return new Promise((resolve, reject) => {
-            const { command, response } = getCommand('flashUnit');
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
-        });
+    flashUnit(options) {
+        return this._command('flashUnit', {}, options);
     }
 
     /**
@@ -302,71 +812,104 @@ class Symetrix extends EventEmitter {
      * documentation for details on valid strings and values
      * @param {string} resource - the string resource to set
      * @param {string} value - the value to set the string resource to
+     * @param {object} [options] - `{ timeout, signal, priority }` per-call options, see reqToSend()
      * @return {Promise}
      */
-    setSystemString(resource, value) {
-        return new Promise((resolve, reject) => {
-            if (typeof resource !== 'string' || typeof value !== 'string')
-                reject(Error(`setSystemString invalid resource ${resource} or value ${value}`));
-            const { command, response } = getCommand('setSystemString', { string: resource, value });
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
-        });
+    setSystemString(resource, value, options) {
+        if (typeof resource !== 'string' || typeof value !== 'string')
+            return Promise.reject(Error(`setSystemString invalid resource ${resource} or value ${value}`));
+        return this._command('setSystemString', { string: resource, value }, options);
     }
 
     /**
      * This command sets a system string such as a speed dial name or number. Refer to the Composer Control
      * documentation for details on valid strings
      * @param {string} resource - the string resource to get
+     * @param {object} [options] - `{ timeout, signal, priority }` per-call options, see reqToSend()
      * @return {Promise}
      */
-    getSystemString(resource) {
-        return new Promise((resolve, reject) => {
-            if (typeof resource !== 'string') reject(Error(`setSystemString invalid resource ${resource}`));
-            const { command, response } = getCommand('getSystemString', { string: resource });
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
-        });
+    getSystemString(resource, options) {
+        if (typeof resource !== 'string') return Promise.reject(Error(`setSystemString invalid resource ${resource}`));
+        return this._command('getSystemString', { string: resource }, options);
+    }
+
+    /**
+     * This command does nothing but answer, which makes it a cheap check that the unit is responding
+     * @param {object} [options] - `{ timeout, signal, priority }` per-call options, see reqToSend()
+     * @return {Promise}
+     */
+    noOp(options) {
+        return this._command('noOp', {}, options);
+    }
+
+    /**
+     * This command sets whether the unit echoes each command before its reply (echo mode) or not (quiet mode).
+     * Commands sent by this library force quiet mode for themselves so the setting only affects other clients
+     * on the same connection, such as a terminal used alongside it
+     * @param {boolean} enable - true for echo mode, false for quiet mode
+     * @param {object} [options] - `{ timeout, signal, priority }` per-call options, see reqToSend()
+     * @return {Promise}
+     */
+    setEcho(enable, options) {
+        return this._command('setEcho', { value: enable ? 1 : 0 }, options);
+    }
+
+    /**
+     * This command returns information about the unit, such as its model, firmware version, hardware revision
+     * and unit number
+     * @param {object} [options] - `{ timeout, signal, priority }` per-call options, see reqToSend()
+     * @return {Promise} resolves with an object of the unit's `KEY=VALUE` fields, e.g. `{ MODEL, FIRMWARE }`
+     */
+    getUnitInfo(options) {
+        return this._command('getUnitInfo', {}, options);
     }
     // #endregion Configuration
 
     // #region Presets
     /**
      * This command will return the last preset that was loaded
+     * @param {object} [options] - `{ timeout, signal, priority }` per-call options, see reqToSend()
      * @return {Promise}
      */
-    getPreset() {
-        return new Promise((resolve, reject) => {
-            const { command, response } = getCommand('getPreset');
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
-        });
+    getPreset(options) {
+        return this._command('getPreset', {}, options);
     }
 
     /**
      * This command will load the specified preset (1-1000) on the currently addressed unit.
+     * Emits `preset` with the preset number once the device has acknowledged it. A preset that a write policy
+     * says needs confirmation is only loaded with `confirmed` or once `sym.policies.confirm` agrees, otherwise
+     * the promise rejects with PolicyError. With the journal option it is recorded for undo unless `journal` is false
      * @param {number} id - the preset number to set, between 1 and 1000
+     * @param {object} [options] - `{ timeout, signal, priority, confirmed, journal }` per-call options, see
+     * reqToSend()
      * @return {Promise}
      */
-    loadPreset(id) {
-        return new Promise((resolve, reject) => {
-            if (!validRange(id, 1, 1000)) reject(Error(`loadPreset invalid preset ${id}`));
-            const { command, response } = getCommand('loadPreset', { id });
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
+    loadPreset(id, { confirmed = false, journal = true, ...options } = {}) {
+        if (!validRange(id, 1, 1000)) return Promise.reject(Error(`loadPreset invalid preset ${id}`));
+        const write = () =>
+            this._command('loadPreset', { value: id }, options).then((data) => {
+                this.emit('preset', id);
+                return { data, sent: true };
             });
-        });
+        const send = () =>
+            this.policies.coversPreset(id) ? this.policies.checkPreset(id, confirmed).then(write) : write();
+        if (this.journal && journal) return this.journal.track({ type: 'preset', id }, send);
+        return send().then(({ data }) => data);
     }
     // #endregion Presets
 
     // #region Pushing
+    /**
+     * The push settings the device has acknowledged, which are re-applied after every reconnect
+     * @return {object} `{ ranges, interval, threshold }`: the merged `{ low, high }` ranges that have push enabled,
+     * the push interval in milliseconds and the `{ meter, other }` thresholds, the last two undefined until set
+     */
+    get pushSettings() {
+        const { ranges: enabled, interval, threshold } = this._pushSettings;
+        return { ranges: enabled.map((r) => ({ ...r })), interval, threshold: threshold && { ...threshold } };
+    }
+
     /**
      * This command enables or disables the push feature for an individual controller or range of controllers.
      * To select an individual controller to enable/disable push on set high equal to low
@@ -374,16 +917,16 @@ class Symetrix extends EventEmitter {
      * @param {boolean} enable - if push should be enabled or disabled
      * @param {number} [low] - the lowest control ID that should be enabled/disabled, defaults to 1
      * @param {number} [high] - the highest control ID that should be enabled/disabled, defaults to 10000
+     * @param {number} [timeout] - milliseconds to wait for a response, overrides the instance timeout
+     * @param {AbortSignal} [signal] - cancels the command if it has not been sent yet
+     * @param {string} [priority] - the send queue lane, one of urgent, normal or background
      * @return {Promise}
      */
-    pushState(enable, { low = 1, high = 10000 } = {}) {
-        return new Promise((resolve, reject) => {
-            if (typeof enable === 'undefined') reject(Error(`pushState enable/disable not set`));
-            const { command, response } = getCommand('pushState', { enable, low, high });
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
+    pushState(enable, { low = 1, high = 10000, timeout, signal, priority } = {}) {
+        if (typeof enable === 'undefined') return Promise.reject(Error(`pushState enable/disable not set`));
+        return this._command('pushState', { enable, low, high }, { timeout, signal, priority }).then((data) => {
+            this._recordPushSetting('range', { enable: !!enable, low, high });
+            return data;
         });
     }
 
@@ -393,16 +936,13 @@ class Symetrix extends EventEmitter {
      * Using the default values will query all control IDs
      * @param {number} [low] - the lowest control ID that should be queried, defaults to 1
      * @param {number} [high] - the highest control ID that should be queried, defaults to 10000
-     * @return {Promise}
+     * @param {number} [timeout] - milliseconds to wait for a response, overrides the instance timeout
+     * @param {AbortSignal} [signal] - cancels the command if it has not been sent yet
+     * @param {string} [priority] - the send queue lane, one of urgent, normal or background
+     * @return {Promise} resolves with the IDs of the controls that have push enabled
      */
-    getPushEnabled({ low = 1, high = 10000 } = {}) {
-        return new Promise((resolve, reject) => {
-            const { command, response } = getCommand('getPushEnabled', { low, high });
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
-        });
+    getPushEnabled({ low = 1, high = 10000, timeout, signal, priority } = {}) {
+        return this._command('getPushEnabled', { low, high }, { timeout, signal, priority });
     }
 
     /**
@@ -411,16 +951,13 @@ class Symetrix extends EventEmitter {
      * refresh all control IDs
      * @param {number} [low] - the lowest control ID that should be refreshed, defaults to 1
      * @param {number} [high] - the highest control ID that should be refreshed, defaults to 10000
+     * @param {number} [timeout] - milliseconds to wait for a response, overrides the instance timeout
+     * @param {AbortSignal} [signal] - cancels the command if it has not been sent yet
+     * @param {string} [priority] - the send queue lane, one of urgent, normal or background
      * @return {Promise}
      */
-    pushRefresh({ low = 1, high = 10000 } = {}) {
-        return new Promise((resolve, reject) => {
-            const { command, response } = getCommand('pushRefresh', { low, high });
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
-        });
+    pushRefresh({ low = 1, high = 10000, timeout, signal, priority } = {}) {
+        return this._command('pushRefresh', { low, high }, { timeout, signal, priority });
     }
 
     /**
@@ -430,32 +967,27 @@ class Symetrix extends EventEmitter {
      * clear all control IDs
      * @param {number} [low] - the lowest control ID that should be refreshed, defaults to 1
      * @param {number} [high] - the highest control ID that should be refreshed, defaults to 10000
+     * @param {number} [timeout] - milliseconds to wait for a response, overrides the instance timeout
+     * @param {AbortSignal} [signal] - cancels the command if it has not been sent yet
+     * @param {string} [priority] - the send queue lane, one of urgent, normal or background
      * @return {Promise}
      */
-    pushClear({ low = 1, high = 10000 } = {}) {
-        return new Promise((resolve, reject) => {
-            const { command, response } = getCommand('pushClear', { low, high });
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
-        });
+    pushClear({ low = 1, high = 10000, timeout, signal, priority } = {}) {
+        return this._command('pushClear', { low, high }, { timeout, signal, priority });
     }
 
     /**
      * This command changes the minimum length of time between consecutive pushes of data. At power-up,
      * this value defaults to 100 milliseconds. Interval must be between 20 (20ms) and 30000 (30s)
      * @param {number} value - the new push interval in milliseconds
+     * @param {object} [options] - `{ timeout, signal, priority }` per-call options, see reqToSend()
      * @return {Promise}
      */
-    pushInterval(value) {
-        return new Promise((resolve, reject) => {
-            if (!validRange(value, 20, 30000)) reject(Error(`pushInterval invalid interval ${value}`));
-            const { command, response } = getCommand('setPushInterval', { value });
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
+    pushInterval(value, options) {
+        if (!validRange(value, 20, 30000)) return Promise.reject(Error(`pushInterval invalid interval ${value}`));
+        return this._command('setPushInterval', { value }, options).then((data) => {
+            this._recordPushSetting('interval', value);
+            return data;
         });
     }
 
@@ -466,24 +998,279 @@ class Symetrix extends EventEmitter {
      * large threshold for meters to avoid constant pushing of values. The power-on default for both is 1.
      * @param {number} [meter] - the threshold for meters, defaults to 1
      * @param {number} [other] - the threshold for everything else, defaults to 1
+     * @param {number} [timeout] - milliseconds to wait for a response, overrides the instance timeout
+     * @param {AbortSignal} [signal] - cancels the command if it has not been sent yet
+     * @param {string} [priority] - the send queue lane, one of urgent, normal or background
      * @return {Promise}
      */
-    pushThreshold({ meter = 1, other = 1 } = {}) {
-        return new Promise((resolve, reject) => {
-            if (typeof meter !== 'number' || typeof other !== 'number')
-                reject(Error(`pushThreshold invalid threshold ${other || meter}`));
-            const { command, response } = getCommand('setPushThreshold', { meter, other });
-            this.reqToSend(command, response, (err, data) => {
-                if (err) reject(err);
-                else resolve(data);
-            });
+    pushThreshold({ meter = 1, other = 1, timeout, signal, priority } = {}) {
+        if (typeof meter !== 'number' || typeof other !== 'number')
+            return Promise.reject(Error(`pushThreshold invalid threshold ${other || meter}`));
+        return this._command('setPushThreshold', { meter, other }, { timeout, signal, priority }).then((data) => {
+            this._recordPushSetting('threshold', { meter, other });
+            return data;
+        });
+    }
+
+    /**
+     * Enables push for controls on behalf of one of several users of them, such as meter subscriptions and
+     * bridge clients. Push stays enabled for a control until every acquire of it has been released
+     * @param {Array} ids - control IDs and/or `{ low, high }` ranges
+     * @return {Promise} resolves once push is enabled for the controls that did not already have it, and rejects
+     * with nothing acquired if push could not be enabled
+     */
+    async acquirePush(ids) {
+        const added = [];
+        ranges.expandRanges(ids).forEach((id) => {
+            const refs = this._pushRefs.get(id) || 0;
+            if (refs === 0) added.push(id);
+            this._pushRefs.set(id, refs + 1);
         });
+        try {
+            for (const { low, high } of ranges.toRanges(added)) await this.pushState(true, { low, high });
+        } catch (err) {
+            // give the references back, which also disables push again for anything enabled before the failure
+            await this.releasePush(ids).catch(() => {});
+            throw err;
+        }
     }
 
+    /**
+     * Releases controls acquired with acquirePush(), disabling push for those nothing else has acquired
+     * @param {Array} ids - control IDs and/or `{ low, high }` ranges
+     * @return {Promise} resolves once push is disabled for the controls no longer in use
+     */
+    async releasePush(ids) {
+        const unused = [];
+        ranges.expandRanges(ids).forEach((id) => {
+            const refs = (this._pushRefs.get(id) || 0) - 1;
+            if (refs > 0) this._pushRefs.set(id, refs);
+            else if (this._pushRefs.delete(id)) unused.push(id);
+        });
+        for (const { low, high } of ranges.toRanges(unused)) await this.pushState(false, { low, high });
+    }
     // #endregion Pushing
+
+    // #region Cache
+    /**
+     * Keeps a range of controls mirrored in the cache. The range is read now and again after every reconnect,
+     * while pushes (if enabled) and acknowledged writes keep it up to date in between
+     * @param {number} [low] - the lowest control ID to mirror, defaults to 1
+     * @param {number} [high] - the highest control ID to mirror, defaults to 10000
+     * @return {Promise} resolves with an array of `{ id, value }` once the range has been read
+     */
+    mirror({ low = 1, high = 10000 } = {}) {
+        if (!validControlId(low) || !validControlId(high) || low > high)
+            return Promise.reject(Error(`mirror invalid range ${low} to ${high}`));
+        this._mirrored.push({ low, high });
+        return this.controlGetRange({ low, high });
+    }
+
+    /**
+     * Returns the last value seen for a control without asking the device
+     * @param {number} id - the control ID
+     * @return {number|undefined} the cached value or undefined if the control has never been seen
+     */
+    getCached(id) {
+        return this._cache.get(id);
+    }
+
+    /**
+     * A cached value is stale if it has never been seen or the connection has dropped since it was last seen
+     * @param {number} id - the control ID
+     * @return {boolean}
+     */
+    isStale(id) {
+        return this._cache.isStale(id);
+    }
+
+    /**
+     * Calls `cb` with `{ id, value, previous, source }` whenever the cached value of a control changes.
+     * `source` is push for pushed values, local for acknowledged writes from this instance and poll for reads
+     * @param {number} id - the control ID
+     * @param {function} cb - the change callback
+     * @return {function} call to stop watching
+     */
+    watch(id, cb) {
+        return this._cache.watch(id, cb);
+    }
+    // #endregion Cache
+
+    // #region Named controls
+    /**
+     * Sets the map used to look up controls by name with control()
+     * @param {ControlMap|Array|object} map - a ControlMap, or control definitions as accepted by ControlMap.fromJSON()
+     * @return {ControlMap} the map in use
+     */
+    setControlMap(map) {
+        this.controlMap = map instanceof ControlMap ? map : ControlMap.fromJSON(map);
+        return this.controlMap;
+    }
+
+    /**
+     * Looks up a control in the control map, e.g. `sym.control('Lobby Level').setDb(-20)`
+     * @param {string|number} nameOrId - the control name, or its control ID
+     * @return {Control} the control bound to this instance
+     */
+    control(nameOrId) {
+        const definition = this.controlMap && this.controlMap.get(nameOrId);
+        if (!definition) throw new Error(`control ${nameOrId} is not in the control map`);
+        return new Control(this, definition);
+    }
+    // #endregion Named controls
+
+    // #region Ramps
+    /**
+     * Fades a control to a new value over time. Starting a new ramp on a control that is already ramping
+     * stops the old one, whose promise then rejects with an AbortError
+     * @param {number} id - the control ID to ramp, between 1 and 10000
+     * @param {number} target - the value to finish on, in API units or in dB when `unit` is dB
+     * @param {number} [durationMs] - how long the ramp should take, defaults to 1000
+     * @param {string} [curve] - linear (in gain), dB (linear in dB) or s-curve, defaults to dB
+     * @param {string} [unit] - api or dB, defaults to api
+     * @param {number} [min] - the dB value at the bottom of the fader's range, defaults to -72
+     * @param {number} [max] - the dB value at the top of the fader's range, defaults to 12
+     * @param {number} [minStepMs] - the shortest time between steps, defaults to 50
+     * @param {AbortSignal} [signal] - cancels the ramp
+     * @return {Promise} resolves with the target API value once it has been set
+     */
+    async ramp(id, target, { durationMs = 1000, curve = 'dB', unit = 'api', min, max, minStepMs = 50, signal } = {}) {
+        if (!validControlId(id)) throw Error(`ramp invalid id ${id}`);
+        if (!curves.includes(curve)) throw Error(`ramp invalid curve ${curve}`);
+        if (unit !== 'api' && unit !== 'dB') throw Error(`ramp invalid unit ${unit}`);
+        if (!validRange(durationMs, 0, Infinity)) throw Error(`ramp invalid duration ${durationMs}`);
+        const value = unit === 'dB' ? conversions.dBToAPI(target, { min, max }) : target;
+        if (!validControlValue(value)) throw Error(`ramp invalid target ${target}`);
+        if (signal && signal.aborted) throw new AbortError('ramp aborted', { id });
+
+        if (this._ramps.has(id)) this._ramps.get(id).cancel('superseded');
+        const ramp = new Ramp(this, id, value, { durationMs, curve, min, max, minStepMs });
+        this._ramps.set(id, ramp);
+        const onAbort = () => ramp.cancel('aborted');
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const from = this._cache.isStale(id) ? Number(await this.controlGet(id)) : this._cache.get(id);
+            return await ramp.run(from);
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (this._ramps.get(id) === ramp) this._ramps.delete(id);
+        }
+    }
+
+    /**
+     * Stops a running ramp where it is
+     * @param {number} id - the control ID that is ramping
+     * @return {boolean} true if there was a ramp to stop
+     */
+    cancelRamp(id) {
+        const ramp = this._ramps.get(id);
+        if (ramp) ramp.cancel('cancelled');
+        return !!ramp;
+    }
+    // #endregion Ramps
+
+    // #region Links
+    /**
+     * Links controls so that when one changes the others follow, see links.js. Relative links only move
+     * members whose current value is known, e.g. from mirror() or push
+     * @param {Array} members - control IDs on this device, or `{ id, sym, offsetDb, min, max, floor, ceiling }` for
+     * controls on another device (sym) or with a dB offset, fader range and limits
+     * @param {string} [mode] - absolute (same value), relative (same change) or dB (same level plus offsets),
+     * defaults to absolute
+     * @param {string} [direction] - gang, where any member leads, or master, where only the first member does,
+     * defaults to gang
+     * @return {Link} the link, which can be suspended, resumed and unlinked
+     */
+    link(members, { mode, direction } = {}) {
+        const withSym = members.map((member) =>
+            typeof member === 'number' ? { sym: this, id: member } : { sym: this, ...member }
+        );
+        return createLink(withSym, { mode, direction });
+    }
+    // #endregion Links
+
+    // #region Snapshots
+    /**
+     * Reads ranges of controls into a snapshot that can be saved as JSON and restored later
+     * @param {object|Array} ranges - a `{ low, high }` range of control IDs or an array of them
+     * @return {Promise} resolves with the snapshot
+     */
+    captureSnapshot(ranges) {
+        ranges = Array.isArray(ranges) ? ranges : [ranges];
+        if (ranges.length === 0 || ranges.some((r) => !r || !validControlId(r.low) || !validControlId(r.high)))
+            return Promise.reject(Error(`captureSnapshot invalid ranges ${JSON.stringify(ranges)}`));
+        return snapshot.captureSnapshot(this, ranges);
+    }
+
+    /**
+     * Compares two snapshots
+     * @param {object} a - the earlier snapshot
+     * @param {object} b - the later snapshot
+     * @return {Array} `{ id, before, after }` for every control that differs
+     */
+    diffSnapshot(a, b) {
+        return snapshot.diffSnapshot(a, b);
+    }
+
+    /**
+     * Writes back the controls in a snapshot that differ from the device's current values
+     * @param {object|string} snap - the snapshot or its JSON
+     * @param {Array} [only] - control IDs and/or `{ low, high }` ranges to restore, everything else is left alone
+     * @param {Array} [exclude] - control IDs and/or `{ low, high }` ranges to leave alone
+     * @param {object} [ramp] - options for ramp() to fade to the restored values instead of jumping
+     * @return {Promise} resolves with `{ id, before, after }` for each control that was written
+     */
+    restoreSnapshot(snap, { only, exclude, ramp } = {}) {
+        return snapshot.restoreSnapshot(this, snap, { only, exclude, ramp });
+    }
+    // #endregion Snapshots
+
+    // #region Undo
+    /**
+     * Undoes the most recent group of writes recorded by the journal, setting each control back to the value it
+     * had before through the send queue. Needs the journal option
+     * @return {Promise} resolves with the group undone, or undefined if there was nothing to undo
+     */
+    undo() {
+        if (!this.journal) return Promise.reject(Error('undo needs the journal option'));
+        return this.journal.undo();
+    }
+
+    /**
+     * Redoes the most recently undone group of writes. Needs the journal option
+     * @return {Promise} resolves with the group redone, or undefined if there was nothing to redo
+     */
+    redo() {
+        if (!this.journal) return Promise.reject(Error('redo needs the journal option'));
+        return this.journal.redo();
+    }
+
+    /**
+     * Runs `fn` with every write it makes recorded as one group, so a single undo() reverts them all. Without the
+     * journal option `fn` is simply run
+     * @param {function} fn - makes the writes, may be async
+     * @param {string} [label] - a description of the group, kept in the journal's export
+     * @return {Promise} resolves with what `fn` returns
+     */
+    transaction(fn, label) {
+        if (!this.journal) return Promise.resolve().then(fn);
+        return this.journal.transaction(fn, label);
+    }
+    // #endregion Undo
 }
 
 module.exports = {
     Symetrix,
+    ControlMap,
     helpers: require('./helpers.js'),
+    errors: require('./errors.js'),
+    SymetrixPool: require('./pool.js').SymetrixPool,
+    Scheduler: require('./scheduler.js').Scheduler,
+    RestBridge: require('./rest.js').RestBridge,
+    WebSocketBridge: require('./websocket.js').WebSocketBridge,
+    OscBridge: require('./osc.js').OscBridge,
+    replay: require('./replay.js').replay,
+    readCapture: require('./recorder.js').readCapture,
+    registerCommand,
 };
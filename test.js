@@ -1,44 +1,1514 @@
-const Symetrix = require('./symetrix.js');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const dgram = require('dgram');
+const { EventEmitter, once } = require('events');
 
-this.sym = new Symetrix({ host: '172.16.10.200' });
+const { Symetrix, SymetrixPool, Scheduler, RestBridge, ControlMap, replay, errors } = require('./symetrix.js');
+const { MockSymetrix } = require('./mock.js');
+const { Framer } = require('./framer.js');
+const { getCommand } = require('./api.js');
+const { Ramp } = require('./ramp.js');
+const { conversions } = require('./helpers.js');
+const { parseCron, nextCronTime } = require('./scheduler.js');
+const { OscBridge, encodeMessage, decodePacket } = require('./osc.js');
+const { WebSocketBridge, WebSocketConnection } = require('./websocket.js');
+const { main, parseValue } = require('./cli.js');
 
-this.sym.on('connected', () => {
-    this.sym.on('push', (data) => {
-        console.log('Push received from Symetrix', data);
+// Everything runs against local mocks. SYMETRIX_HOST can point at a real device to also check reading from it
+const host = process.env.SYMETRIX_HOST;
+
+// Byte streams recorded from a device, as they were divided between TCP segments, and what they frame into
+const recorded = [
+    {
+        command: getCommand('controlSet', { id: 1000, value: 0 }),
+        chunks: ['#01000=00000\r#01001=6', '5535\rACK\r#01002=00012\r'],
+        events: [
+            ['push', [{ id: 1000, value: 0 }]],
+            ['push', [{ id: 1001, value: 65535 }]],
+            ['reply', ['ACK']],
+            ['push', [{ id: 1002, value: 12 }]],
+        ],
+    },
+    {
+        command: getCommand('controlGet', { id: 1000 }),
+        chunks: ['1000 ', '32768\r'],
+        events: [['reply', ['1000 32768']]],
+    },
+    {
+        command: getCommand('controlGetBlock', { id: 1000, size: 2 }),
+        chunks: ['#01005=00001\rGSB3 01000 00002\r#01000=32768\r', '#01001=65535\r#01000=32768\r'],
+        events: [
+            ['push', [{ id: 1005, value: 1 }]],
+            ['reply', ['GSB3 01000 00002', '#01000=32768', '#01001=65535']],
+            ['push', [{ id: 1000, value: 32768 }]],
+        ],
+    },
+    {
+        command: getCommand('getPushEnabled', { low: 1, high: 10000 }),
+        chunks: ['01000\r01001\rA', 'CK\r'],
+        events: [['reply', ['01000', '01001']]],
+    },
+    {
+        command: getCommand('controlGetBlockLegacy', { id: 1000, size: 2 }),
+        chunks: ['32768\r#01003=00007\r65', '535\r#01000=32768\r'],
+        events: [
+            ['push', [{ id: 1003, value: 7 }]],
+            ['reply', ['32768', '65535']],
+            ['push', [{ id: 1000, value: 32768 }]],
+        ],
+    },
+    {
+        command: getCommand('controlGetBlockWithIds', { id: 1000, size: 2 }),
+        chunks: ['1000 32768\r#01001=00012\r10', '01 12\r#01000=00000\r'],
+        events: [
+            ['push', [{ id: 1001, value: 12 }]],
+            ['reply', ['1000 32768', '1001 12']],
+            ['push', [{ id: 1000, value: 0 }]],
+        ],
+    },
+    {
+        command: getCommand('getUnitInfo', {}),
+        chunks: ['MODEL=Prism 4x4\rFIRMWARE=7.1', '.2\rACK\r'],
+        events: [['reply', ['MODEL=Prism 4x4', 'FIRMWARE=7.1.2']]],
+    },
+    {
+        command: getCommand('pushRefresh', { low: 1, high: 10000 }),
+        chunks: ['ACK\r#01000=32768\r#01001=65535\r'],
+        events: [
+            ['reply', ['ACK']],
+            ['push', [{ id: 1000, value: 32768 }, { id: 1001, value: 65535 }]],
+        ],
+    },
+    {
+        command: getCommand('getSystemString', { string: 'UNKNOWN' }),
+        chunks: ['#01000=00001\rNA', 'K\r'],
+        events: [
+            ['push', [{ id: 1000, value: 1 }]],
+            ['nak', 'NAK'],
+        ],
+    },
+];
+
+function framing() {
+    recorded.forEach(({ command, chunks, events }) => {
+        const framer = new Framer();
+        const seen = [];
+        ['push', 'reply', 'nak', 'unexpected'].forEach((event) => framer.on(event, (data) => seen.push([event, data])));
+        framer.expect({ shape: command.shape, regex: command.response, count: command.count });
+        chunks.forEach((chunk) => framer.write(chunk));
+        assert.deepStrictEqual(seen, events, `framing ${command.command.trim()}`);
+    });
+    console.log(`framing: ${recorded.length} recorded streams ok`);
+}
+
+// A capture from the recorder, with a push glued to each side of a split reply and a command that timed out
+const captured = [
+    { version: 1, startedAt: '2021-06-01T12:00:00.000Z', host: '172.16.10.200', port: 48631, transport: 'tcp' },
+    { t: 0, state: 'connected' },
+    { t: 2, tx: '$q GS2 1000\r', command: { type: 'controlGet', regex: '\\d{1,5} (?<ret>\\d{1,5})', flags: '' } },
+    { t: 4, rx: '#01001=00012\r1000 3', inFlight: '$q GS2 1000\r' },
+    { t: 5, rx: '2768\r#01002=00001\r', inFlight: '$q GS2 1000\r' },
+    { t: 6, tx: '$q GPR\r', command: { type: 'getPreset', regex: '(?<ret>\\d+)', flags: '' } },
+    {
+        t: 2007,
+        tx: '$q GSB3 1000 1\r',
+        command: { type: 'controlGetBlock', regex: 'GSB3 \\d{5} \\d{5}', flags: '', shape: 'block' },
+    },
+    { t: 2010, rx: 'GSB3 01000 00001\r#01000=32768\r', inFlight: '$q GSB3 1000 1\r' },
+];
+
+async function replaying() {
+    const { events } = await replay(captured, { timeout: 20 });
+    assert.deepStrictEqual(events, [
+        { event: 'push', values: [{ id: 1001, value: 12 }] },
+        { event: 'reply', command: '$q GS2 1000\r', response: '32768' },
+        { event: 'push', values: [{ id: 1002, value: 1 }] },
+        { event: 'error', command: '$q GPR\r', error: 'TimeoutError' },
+        { event: 'reply', command: '$q GSB3 1000 1\r', response: [{ id: 1000, value: 32768 }] },
+    ]);
+    console.log(`replay: ${events.length} events ok`);
+}
+
+// Every test below gets a mock of its own and a connected instance, torn down whether it passes or not
+async function withMock({ mock: mockOptions = {}, ...options } = {}, fn) {
+    const mock = new MockSymetrix({ port: 0, controls: { 1000: 32768, 1001: 65535 }, ...mockOptions });
+    const port = await mock.listen();
+    const sym = new Symetrix({ host: '127.0.0.1', port, retryTimeout: 0, ...options });
+    try {
+        await once(sym, 'connected');
+        return await fn({ sym, mock });
+    } finally {
+        sym.destructor();
+        await mock.close();
+    }
+}
+
+// A plain TCP client for checking exactly what the mock writes
+async function withSocket(fn) {
+    const mock = new MockSymetrix({ port: 0, controls: { 1000: 32768, 1001: 65535 }, udp: false });
+    const port = await mock.listen();
+    const sock = net.createConnection({ port, host: '127.0.0.1' });
+    sock.setEncoding('utf8');
+    const chunks = [];
+    sock.on('data', (data) => chunks.push(data));
+    try {
+        await once(sock, 'connect');
+        return await fn({ mock, sock, chunks });
+    } finally {
+        sock.destroy();
+        await mock.close();
+    }
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function until(check, what, ms = 1000) {
+    const end = Date.now() + ms;
+    while (!check()) {
+        if (Date.now() > end) throw new Error(`timed out waiting for ${what}`);
+        await delay(5);
+    }
+}
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('mock replies', () =>
+    withMock({}, async ({ sym, mock }) => {
+        assert.strictEqual(await sym.controlGet(1000), '32768');
+        assert.strictEqual(await sym.controlSet(1000, 100), true);
+        assert.strictEqual(mock.getControl(1000), 100);
+        assert.strictEqual(await sym.controlChange(1000, -50), true);
+        assert.strictEqual(mock.getControl(1000), 50);
+        assert.deepStrictEqual(await sym.controlGetBlock(1000, 2), [
+            { id: 1000, value: 50 },
+            { id: 1001, value: 65535 },
+        ]);
+        assert.deepStrictEqual(await sym.sendCommand('controlGetBlockWithIds', { id: 1000, size: 2 }), [
+            { id: 1000, value: 50 },
+            { id: 1001, value: 65535 },
+        ]);
+        assert.deepStrictEqual(await sym.sendCommand('controlGetBlockLegacy', { id: 1000, size: 2 }), [50, 65535]);
+        assert.strictEqual(await sym.loadPreset(3), true);
+        assert.strictEqual(await sym.getPreset(), '3');
+        await sym.setSystemString('SPEED_DIAL_NAME_1', 'Front desk');
+        assert.strictEqual(await sym.getSystemString('SPEED_DIAL_NAME_1'), 'Front desk');
+        await assert.rejects(sym.getSystemString('UNKNOWN'), { name: 'NakError' });
+        const info = { MODEL: 'MOCK', FIRMWARE: '7.0.0', HARDWARE_REV: '1', UNIT_NUMBER: '1' };
+        assert.deepStrictEqual(await sym.getUnitInfo(), info);
+    })
+);
+
+test('mock pushes', () =>
+    withMock({}, async ({ sym, mock }) => {
+        const pushes = [];
+        sym.on('push', (values) => pushes.push(...values));
+        await sym.pushState(true, { low: 1000, high: 1001 });
+        assert.deepStrictEqual(await sym.getPushEnabled(), [1000, 1001]);
+        mock.setControl(1000, 10);
+        mock.setControl(1002, 10); // not enabled
+        await until(() => pushes.length > 0, 'a push');
+        assert.deepStrictEqual(pushes, [{ id: 1000, value: 10 }]);
+
+        // changes below the threshold are held back and a refresh pushes everything in the range
+        await sym.pushThreshold({ other: 100 });
+        mock.setControl(1000, 60);
+        await delay(150);
+        assert.strictEqual(pushes.length, 1);
+        await sym.pushRefresh({ low: 1000, high: 1001 });
+        await until(() => pushes.length === 3, 'the refresh');
+        assert.deepStrictEqual(pushes.slice(1), [
+            { id: 1000, value: 60 },
+            { id: 1001, value: 65535 },
+        ]);
+    })
+);
+
+test('mock faults', () =>
+    withSocket(async ({ mock, sock, chunks }) => {
+        mock.injectFault('drop');
+        sock.write('$q GS2 1000\r');
+        await delay(50);
+        assert.deepStrictEqual(chunks, []);
+
+        mock.injectFault('nak');
+        sock.write('$q GS2 1000\r');
+        await until(() => chunks.length === 1, 'the NAK');
+        assert.deepStrictEqual(chunks.splice(0), ['NAK\r']);
+
+        mock.injectFault('split');
+        sock.write('$q GS2 1000\r');
+        await until(() => chunks.join('') === '1000 32768\r', 'the split reply');
+        assert.strictEqual(chunks.splice(0).length, 2);
+
+        // the glued push is for the first control the client has push enabled for
+        sock.write('$q PUE 1001 1001\r');
+        await until(() => chunks.length === 1, 'the ACK');
+        chunks.splice(0);
+        mock.injectFault('glue');
+        sock.write('$q GS2 1000\r');
+        await until(() => chunks.length === 1, 'the glued reply');
+        assert.deepStrictEqual(chunks, ['#01001=65535\r1000 32768\r']);
+    })
+);
+
+test('udp retransmits', async () => {
+    // a UDP socket standing in for a device that only answers the third copy of each command
+    const device = dgram.createSocket('udp4');
+    const received = [];
+    device.on('message', (msg, rinfo) => {
+        received.push(msg.toString());
+        if (msg.toString() === '$q GS2 1000\r' && received.length % 3 === 0)
+            device.send('1000 5\r', rinfo.port, rinfo.address);
     });
+    await new Promise((resolve) => device.bind(0, '127.0.0.1', resolve));
+    const { port } = device.address();
+    const sym = new Symetrix({ host: '127.0.0.1', port, transport: 'udp', retransmits: 2, timeout: 30 });
+    try {
+        await once(sym, 'connected');
+        assert.strictEqual(await sym.controlGet(1000), '5');
+        assert.deepStrictEqual(received, Array(3).fill('$q GS2 1000\r'));
+
+        // with the retransmits used up the command times out
+        received.length = 0;
+        await assert.rejects(sym.controlGet(1001), { name: 'TimeoutError' });
+        assert.deepStrictEqual(received, Array(3).fill('$q GS2 1001\r'));
+    } finally {
+        sym.destructor();
+        device.close();
+    }
+});
+
+test('udp against the mock', () =>
+    withMock({ transport: 'udp' }, async ({ sym, mock }) => {
+        assert.strictEqual(await sym.controlSet(1000, 7), true);
+        assert.strictEqual(mock.getControl(1000), 7);
+        assert.deepStrictEqual(await sym.controlGetBlock(1000, 2), [
+            { id: 1000, value: 7 },
+            { id: 1001, value: 65535 },
+        ]);
+    })
+);
+
+test('typed errors', () =>
+    withMock({ timeout: 30 }, async ({ sym, mock }) => {
+        mock.injectFault('drop');
+        await assert.rejects(sym.controlGet(1000), (err) => {
+            assert.ok(err instanceof errors.TimeoutError && err instanceof errors.SymetrixError);
+            assert.strictEqual(err.command, '$q GS2 1000');
+            assert.strictEqual(err.id, 1000);
+            return true;
+        });
+
+        mock.injectFault('nak');
+        await assert.rejects(sym.controlSet(1001, 5), (err) => err instanceof errors.NakError && err.id === 1001);
+
+        // a command that has not been sent yet is taken out of the queue when its signal fires
+        const controller = new AbortController();
+        mock.latency = 20;
+        const first = sym.controlGet(1000);
+        const aborted = sym.controlGet(1001, { signal: controller.signal });
+        controller.abort();
+        await assert.rejects(aborted, (err) => err instanceof errors.AbortError && err.id === 1001);
+        assert.strictEqual(await first, '32768');
+        await assert.rejects(sym.controlGet(1000, { signal: controller.signal }), { name: 'AbortError' });
+
+        // the command in flight when the connection drops does not wait for its timeout
+        mock.injectFault('drop');
+        const pending = sym.controlGet(1000, { timeout: 5000 });
+        await delay(10);
+        mock.dropClients();
+        await assert.rejects(pending, { name: 'ConnectionClosedError' });
+        await assert.rejects(sym.controlGet(1000), { name: 'NotConnectedError' });
+    })
+);
+
+// Refused connections are logged, which is only noise while a test takes the mock offline on purpose
+async function offline(mock, fn) {
+    const { error } = console;
+    console.error = () => {};
+    try {
+        mock.server.close();
+        mock.dropClients();
+        await fn();
+    } finally {
+        console.error = error;
+    }
+}
+
+const relisten = (mock) => new Promise((resolve) => mock.server.listen(mock.port, mock.host, resolve));
+
+test('reconnect backoff', () =>
+    withMock({ retryMin: 20, retryFactor: 2, retryJitter: 0, retryTimeout: 50 }, async ({ sym, mock }) => {
+        const waits = [];
+        sym.on('reconnecting', ({ attempt, delay }) => waits.push([attempt, delay]));
+        await offline(mock, () => until(() => waits.length === 4, 'four attempts'));
+        assert.deepStrictEqual(waits, [
+            [1, 20],
+            [2, 40],
+            [3, 50],
+            [4, 50],
+        ]);
+
+        // the backoff starts again from the beginning once a connection succeeds
+        await relisten(mock);
+        await once(sym, 'connected');
+        waits.length = 0;
+        mock.dropClients();
+        await once(sym, 'connected');
+        assert.deepStrictEqual(waits, [[1, 20]]);
+    })
+);
+
+const reconnecting = { retryMin: 10, retryJitter: 0, retryTimeout: 10 };
+
+test('offline queue', () =>
+    withMock({ ...reconnecting, offlineQueue: { maxDepth: 2 } }, async ({ sym, mock }) => {
+        await offline(mock, async () => {
+            await once(sym, 'reconnecting');
+            const held = [sym.controlSet(1000, 1), sym.controlSet(1001, 2)];
+            await assert.rejects(sym.controlSet(1002, 3), { name: 'NotConnectedError' });
+            assert.strictEqual(mock.getControl(1000), 32768);
+
+            // held commands go out in order once the connection is back
+            await relisten(mock);
+            assert.deepStrictEqual(await Promise.all(held), [true, true]);
+        });
+        assert.strictEqual(mock.getControl(1000), 1);
+        assert.strictEqual(mock.getControl(1001), 2);
+        assert.strictEqual(mock.getControl(1002), 0);
+    })
+);
+
+test('push settings after reconnect', () =>
+    withMock(reconnecting, async ({ sym, mock }) => {
+        await sym.pushState(true, { low: 1000, high: 1001 });
+        await sym.pushInterval(40);
+        mock.dropClients();
+        await once(sym, 'connected');
+        // the settings go out ahead of anything else sent after the reconnect
+        assert.deepStrictEqual(await sym.getPushEnabled(), [1000, 1001]);
+        const [client] = mock._clients;
+        assert.strictEqual(client.interval, 40);
+        const pushed = once(sym, 'push');
+        mock.setControl(1001, 3);
+        assert.deepStrictEqual((await pushed)[0], [{ id: 1001, value: 3 }]);
+    })
+);
+
+test('control state mirror', () =>
+    withMock(reconnecting, async ({ sym, mock }) => {
+        const changes = [];
+        sym.on('change', (change) => changes.push(change));
+        const watched = [];
+        const unwatch = sym.watch(1001, (change) => watched.push(change));
+
+        assert.deepStrictEqual(await sym.mirror({ low: 1000, high: 1001 }), [
+            { id: 1000, value: 32768 },
+            { id: 1001, value: 65535 },
+        ]);
+        assert.strictEqual(sym.isStale(1000), false);
+        assert.strictEqual(sym.isStale(1002), true);
+        await sym.pushState(true, { low: 1000, high: 1001 });
+        mock.setControl(1001, 10);
+        await until(() => changes.length === 3, 'the pushed change');
+        assert.deepStrictEqual(changes[2], { id: 1001, value: 10, previous: 65535, source: 'push' });
+        assert.deepStrictEqual(watched, [changes[1], changes[2]]);
+
+        // a push of the same value is not a change
+        await sym.pushRefresh({ low: 1001, high: 1001 });
+        await delay(20);
+        assert.strictEqual(changes.length, 3);
+        await sym.controlSet(1000, 5);
+        assert.deepStrictEqual(changes[3], { id: 1000, value: 5, previous: 32768, source: 'local' });
+        unwatch();
+
+        // values go stale while disconnected and mirrored ranges are read again on reconnect
+        mock.dropClients();
+        await once(sym, 'disconnected');
+        assert.strictEqual(sym.isStale(1000), true);
+        assert.strictEqual(sym.getCached(1000), 5);
+        mock.setControl(1000, 6);
+        await once(sym, 'connected');
+        await until(() => !sym.isStale(1000), 'the mirror refresh');
+        assert.strictEqual(sym.getCached(1000), 6);
+        assert.deepStrictEqual(changes[4], { id: 1000, value: 6, previous: 5, source: 'poll' });
+        assert.strictEqual(watched.length, 2);
+    })
+);
+
+// In the layout of Composer's control numbers report, with a quoted name, an extra column and a blank line
+const controlsCSV = [
+    'Control Number,Control Name,Control Type,Minimum,Maximum,Notes',
+    '1000,"Lobby Level",Fader,,,',
+    '1001,"Lobby ""Main"" Mute",mute,,,"muted, for now"',
+    '',
+    '1002,"Zone\nSource",selector,,4,',
+    '1003,Output Meter,meter,-60,0,',
+].join('\r\n');
+
+test('control map csv', () =>
+    withMock({ controlMap: ControlMap.fromCSV(controlsCSV) }, async ({ sym, mock }) => {
+        assert.deepStrictEqual(
+            sym.controlMap.entries().map(({ id, name, type, min, max }) => [id, name, type, min, max]),
+            [
+                [1000, 'Lobby Level', 'fader', -72, 12],
+                [1001, 'Lobby "Main" Mute', 'mute', undefined, undefined],
+                [1002, 'Zone\nSource', 'selector', 1, 4],
+                [1003, 'Output Meter', 'meter', -60, 0],
+            ]
+        );
+        assert.strictEqual(sym.controlMap.get(1003).name, 'Output Meter');
+        assert.throws(() => ControlMap.fromCSV('Name,Type\nLevel,fader'), /needs id and name columns/);
+        assert.throws(() => ControlMap.fromCSV('id,name,type\n1000,Level,knob'), /unknown type knob for Level/);
+        assert.throws(() => ControlMap.fromCSV('id,name\n10001,Level'), /invalid id 10001 for Level/);
+        assert.throws(() => ControlMap.fromCSV('id,name,type\n1002,Source,selector'), /needs max positions/);
+
+        // values are converted to and from each control's own units
+        const level = sym.control('Lobby Level');
+        await level.setDb(-20);
+        assert.strictEqual(mock.getControl(1000), 40569);
+        assert.strictEqual(await level.get(), -20);
+        await assert.rejects(level.setDb(13), /level 13 outside -72 to 12/);
+        await sym.control('Lobby "Main" Mute').mute();
+        assert.strictEqual(mock.getControl(1001), 65535);
+        await sym.control('Zone\nSource').select(3);
+        assert.strictEqual(mock.getControl(1002), 43690);
+        assert.strictEqual(await sym.control(1002).get(), 3);
+        mock.setControl(1003, 32768);
+        assert.strictEqual(await sym.control('Output Meter').get(), -30);
+        await assert.rejects(sym.control('Output Meter').set(-10), /is read-only/);
+        assert.throws(() => sym.control('Foyer Level'), /not in the control map/);
+    })
+);
+
+test('ramp curves', () => {
+    const from = conversions.dBToAPI(-60);
+    const target = conversions.dBToAPI(0);
+    const ramp = (curve) => new Ramp(undefined, 1000, target, { durationMs: 1000, curve, minStepMs: 50 });
+    const at = (curve, t) => ramp(curve).valueAt(from, t);
+    ['linear', 'dB', 's-curve'].forEach((curve) => {
+        assert.strictEqual(at(curve, 0), from, `${curve} start`);
+        assert.strictEqual(at(curve, 1), target, `${curve} end`);
+    });
+    assert.strictEqual(at('dB', 0.5), conversions.dBToAPI(-30));
+    assert.strictEqual(at('dB', 0.25), conversions.dBToAPI(-45));
+    // eased, a quarter of the way through is only 0.15625 of the way
+    assert.strictEqual(at('s-curve', 0.25), conversions.dBToAPI(-60 + 60 * 0.15625));
+    assert.strictEqual(at('s-curve', 0.5), conversions.dBToAPI(-30));
+    // halfway in gain is within 6 dB of the top
+    assert.strictEqual(at('linear', 0.5), conversions.dBToAPI(20 * Math.log10((0.001 + 1) / 2)));
+});
+
+test('ramp superseded', () =>
+    withMock({}, async ({ sym, mock }) => {
+        const sent = [];
+        mock.on('command', (line) => sent.push(line));
+        const first = sym.ramp(1000, 0, { durationMs: 1000, minStepMs: 10 });
+        await until(() => sent.length > 2, 'the first steps');
+        const second = sym.ramp(1000, 65535, { durationMs: 50, minStepMs: 10 });
+        await assert.rejects(first, (err) => err instanceof errors.AbortError && err.message === 'ramp superseded');
+        assert.strictEqual(await second, 65535);
+        assert.strictEqual(mock.getControl(1000), 65535);
+
+        // the second ramp starts from where the first one had got to and only goes up
+        const values = sent.filter((line) => line.startsWith('$q CS 1000')).map((line) => Number(line.split(' ')[3]));
+        const turn = values.indexOf(Math.min(...values));
+        assert.ok(turn > 0 && values[0] < 32768);
+        values.slice(turn).forEach((value, i, after) => assert.ok(i === 0 || value >= after[i - 1]));
+        assert.strictEqual(sym.cancelRamp(1000), false);
+    })
+);
+
+test('snapshots', () =>
+    withMock({ mock: { controls: { 1000: 1, 1001: 2, 1002: 3, 1003: 4 } } }, async ({ sym, mock }) => {
+        await sym.loadPreset(5);
+        const snap = await sym.captureSnapshot({ low: 1000, high: 1003 });
+        assert.deepStrictEqual(
+            { ...snap, capturedAt: undefined },
+            {
+                version: 1,
+                host: '127.0.0.1',
+                capturedAt: undefined,
+                preset: 5,
+                ranges: [{ low: 1000, high: 1003 }],
+                values: { 1000: 1, 1001: 2, 1002: 3, 1003: 4 },
+            }
+        );
+
+        [1003, 1001, 1000].forEach((id) => mock.setControl(id, 100));
+        const later = await sym.captureSnapshot({ low: 1000, high: 1003 });
+        assert.deepStrictEqual(sym.diffSnapshot(snap, later), [
+            { id: 1000, before: 1, after: 100 },
+            { id: 1001, before: 2, after: 100 },
+            { id: 1003, before: 4, after: 100 },
+        ]);
+
+        // the device is read first, then only the controls that differ are written, in ID order
+        const sent = [];
+        mock.on('command', (line) => sent.push(line));
+        const restored = await sym.restoreSnapshot(JSON.stringify(snap), { exclude: [1001] });
+        assert.deepStrictEqual(restored, [
+            { id: 1000, before: 100, after: 1 },
+            { id: 1003, before: 100, after: 4 },
+        ]);
+        assert.deepStrictEqual(sent, ['$q GSB3 1000 4', '$q GPR', '$q CS 1000 1', '$q CS 1003 4']);
+        assert.deepStrictEqual([1000, 1001, 1002, 1003].map((id) => mock.getControl(id)), [1, 100, 3, 4]);
+        await assert.rejects(sym.restoreSnapshot({ ...snap, version: 2 }), /version 2 is not supported/);
+    })
+);
+
+test('meter subscriptions', () =>
+    withMock({}, async ({ sym, mock }) => {
+        // a refresh that fails leaves nothing subscribed or acquired behind
+        const nakRefresh = (line) => line.startsWith('$q PUR') && mock.injectFault('nak');
+        mock.on('command', nakRefresh);
+        await assert.rejects(sym.meters.subscribe([1000, 1001], { intervalMs: 20 }), { name: 'NakError' });
+        mock.removeListener('command', nakRefresh);
+        assert.strictEqual(sym.meters._subscriptions.size, 0);
+        assert.strictEqual(sym._pushRefs.size, 0);
+        assert.deepStrictEqual(await sym.getPushEnabled(), []);
+
+        const sub = await sym.meters.subscribe([1000, 1001], { intervalMs: 20 });
+        const [{ meters }] = await once(sub, 'frame');
+        assert.deepStrictEqual(meters, [
+            { id: 1000, current: -12, peak: -12, rms: -12 },
+            { id: 1001, current: 24, peak: 24, rms: 24 },
+        ]);
+        assert.deepStrictEqual(sym.pushSettings, {
+            ranges: [{ low: 1000, high: 1001 }],
+            interval: 20,
+            threshold: undefined,
+        });
+
+        // destroying the instance stops the frames
+        let frames = 0;
+        sub.on('frame', () => frames++);
+        sym.destructor();
+        await delay(60);
+        assert.strictEqual(frames, 0);
+        assert.strictEqual(sym.meters._subscriptions.size, 0);
+    })
+);
+
+test('send queue lanes', () =>
+    withMock({ maxQueueDepth: { urgent: 1, normal: 2 }, mock: { latency: 10 } }, async ({ sym, mock }) => {
+        const sent = [];
+        mock.on('command', (line) => sent.push(line));
+        const local = [];
+        sym.on('change', ({ id, value, source }) => source === 'local' && local.push([id, value]));
+        // the first command goes straight out and the rest wait
+        const requests = [
+            sym.controlGet(1000),
+            sym.controlGet(1001, { priority: 'background' }),
+            sym.controlSet(1000, 1),
+            sym.controlGet(1002, { priority: 'urgent' }),
+            sym.controlSet(1000, 2),
+            sym.controlGet(1003),
+        ];
+        // the second set replaced the first, which settles with its result
+        assert.deepStrictEqual(sym.queueMetrics().depth, { total: 4, urgent: 1, normal: 2, background: 1 });
+        await assert.rejects(sym.controlGet(1004, { priority: 'urgent' }), (err) => {
+            assert.ok(err instanceof errors.QueueFullError);
+            assert.strictEqual(err.message, 'Symetrix urgent send queue is full');
+            return true;
+        });
+        await assert.rejects(sym.controlGet(1004), { name: 'QueueFullError' });
+        // a replacement takes the place of the command it replaces, at the back of the lane, so a full lane has
+        // room for it
+        requests.push(sym.controlSet(1000, 3));
+
+        assert.deepStrictEqual(await Promise.all(requests), ['32768', '65535', true, '0', true, '0', true]);
+        assert.deepStrictEqual(sent, ['$q GS2 1000', '$q GS2 1002', '$q GS2 1003', '$q CS 1000 3', '$q GS2 1001']);
+        assert.strictEqual(mock.getControl(1000), 3);
+        // only the value that was sent reaches the cache
+        assert.deepStrictEqual(local, [[1000, 3]]);
+        const { coalesced, rejected, depth } = sym.queueMetrics();
+        assert.deepStrictEqual({ coalesced, rejected, total: depth.total }, { coalesced: 2, rejected: 2, total: 0 });
+    })
+);
+
+test('pool', async () => {
+    const mocks = [new MockSymetrix({ port: 0, udp: false }), new MockSymetrix({ port: 0, udp: false })];
+    const ports = await Promise.all(mocks.map((m) => m.listen()));
+    const pool = new SymetrixPool({
+        devices: { front: { port: ports[0] }, rear: { port: ports[1] } },
+        defaults: { host: '127.0.0.1', retryTimeout: 0 },
+    });
+    try {
+        await until(() => pool.state === 'connected', 'both devices');
+        // a name that is not in the pool fails on its own like any other device
+        const results = await pool.loadPreset(4, { devices: ['front', 'side', 'rear'] });
+        assert.deepStrictEqual(Object.keys(results), ['front', 'side', 'rear']);
+        assert.deepStrictEqual(results.front, { ok: true, value: true });
+        assert.deepStrictEqual(results.rear, { ok: true, value: true });
+        assert.strictEqual(results.side.ok, false);
+        assert.strictEqual(results.side.error.message, 'SymetrixPool has no device named side');
+        assert.deepStrictEqual(mocks.map((m) => m.preset), [4, 4]);
+    } finally {
+        pool.names.forEach((name) => pool.remove(name));
+        await Promise.all(mocks.map((m) => m.close()));
+    }
+});
+
+test('two way link', () =>
+    withMock({}, async ({ sym, mock }) => {
+        await sym.mirror({ low: 1000, high: 1001 });
+        await sym.pushState(true, { low: 1000, high: 1001 });
+        const link = sym.link([1000, 1001]);
+        const propagated = [];
+        link.on('propagate', (event) => propagated.push(event));
+        const writes = [];
+        mock.on('command', (line) => line.startsWith('$q CS') && writes.push(line));
+
+        // a change on the device is passed on once, and the follower's push coming back is not passed back
+        mock.setControl(1000, 100);
+        await until(() => mock.getControl(1001) === 100, 'the follower');
+        await until(() => sym.getCached(1001) === 100 && link._expected.size === 0, 'the follower push');
+        // a write from this instance leads the same way
+        await sym.controlSet(1001, 200);
+        await until(() => mock.getControl(1000) === 200, 'the leader');
+        await until(() => link._expected.size === 0, 'the leader push');
+        await delay(250);
+        assert.deepStrictEqual(writes, ['$q CS 1001 100', '$q CS 1001 200', '$q CS 1000 200']);
+        assert.deepStrictEqual(propagated, [
+            { from: { id: 1000, value: 100 }, to: [{ id: 1001, value: 100 }] },
+            { from: { id: 1001, value: 200 }, to: [{ id: 1000, value: 200 }] },
+        ]);
+        link.unlink();
+    })
+);
+
+test('rules', () =>
+    withMock({ mock: { controls: { 1000: 0 } } }, async ({ sym, mock }) => {
+        ['fire', 'error'].forEach((emit) =>
+            assert.throws(
+                () => sym.rules.add({ name: 'bad', on: 'connected', then: [{ emit }] }),
+                new RegExp(`rule bad cannot emit ${emit}`)
+            )
+        );
+        const hot = { name: 'hot', on: 'connected', then: [{ emit: 'hot' }] };
+        assert.throws(() => sym.rules.load([hot, { ...hot, name: 'bad', then: [{ emit: 'error' }] }]));
+        assert.throws(
+            () => sym.rules.add({ name: 'bad', on: 'connected', then: [{ set: 1000, value: 20, unit: 'dB' }] }),
+            /rule bad invalid value 20 for control 1000/
+        );
+        assert.deepStrictEqual(sym.rules.list(), []);
+
+        await sym.pushInterval(20);
+        await sym.pushState(true, { low: 1000, high: 1000 });
+        const fired = [];
+        sym.rules.on('fire', ({ rule, branch }) => fired.push(`${rule} ${branch}`));
+        const level = (value) => {
+            mock.setControl(1000, value);
+            return until(() => sym.getCached(1000) === value, `the push of ${value}`);
+        };
+
+        // the condition has to hold for the whole debounce time
+        sym.rules.add({ name: 'loud', when: { id: 1000, above: 1000 }, debounceMs: 100, then: [], else: [] });
+        await level(2000);
+        await level(0);
+        await delay(150);
+        assert.deepStrictEqual(fired, []);
+        const start = Date.now();
+        await level(2000);
+        await until(() => fired.length === 1, 'the debounced rule');
+        assert.ok(Date.now() - start >= 100);
+        assert.deepStrictEqual(fired, ['loud then']);
+        sym.rules.remove('loud');
+
+        // an active rule is only released once the value is back past the threshold by the hysteresis
+        sym.rules.add({ name: 'hot', when: { id: 1000, above: 3000 }, hysteresis: 500, then: [], else: [] });
+        await level(3500);
+        await level(2800);
+        await level(3100);
+        await level(2600);
+        await delay(20);
+        assert.deepStrictEqual(fired, ['loud then', 'hot then']);
+        await level(2400);
+        await level(2900);
+        assert.deepStrictEqual(fired, ['loud then', 'hot then', 'hot else']);
+        assert.deepStrictEqual(sym.rules.list(), [{ name: 'hot', active: false }]);
+
+        // set values are converted from their unit, and on/off values work in any unit
+        const then = [
+            { set: 1001, value: 'mute', unit: 'dB' },
+            { set: 1002, value: 50, unit: 'pct' },
+            { set: 1003, value: -30, unit: 'dB' },
+        ];
+        sym.rules.add({ name: 'recall', on: 'preset', then });
+        await sym.loadPreset(1);
+        await until(() => mock.getControl(1003) === conversions.dBToAPI(-30), 'the rule actions');
+        assert.deepStrictEqual([mock.getControl(1001), mock.getControl(1002)], [65535, 32768]);
+    })
+);
+
+test('cron', () => {
+    const fields = (expression) => {
+        const cron = parseCron(expression);
+        return ['minute', 'hour', 'day', 'month', 'weekday'].map((name) => [...cron[name]]);
+    };
+    assert.deepStrictEqual(fields('*/15 9-11 1,15 */6 7'), [[0, 15, 30, 45], [9, 10, 11], [1, 15], [1, 7], [0]]);
+    assert.deepStrictEqual(fields('0-10/5 3/8 31 12 1-5/2'), [[0, 5, 10], [3, 11, 19], [31], [12], [1, 3, 5]]);
+    assert.throws(() => parseCron('* * * *'), /needs 5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /invalid minute 60/);
+    assert.throws(() => parseCron('* 5-2 * * *'), /invalid hour 5-2/);
+    assert.throws(() => parseCron('* * 0 * *'), /invalid day 0/);
+    assert.throws(() => parseCron('*/0 * * * *'), /invalid minute \*\/0/);
+
+    // Tuesday 1 June 2021, local time
+    const from = new Date(2021, 5, 1, 10, 0);
+    const next = (expression, after = from) => nextCronTime(parseCron(expression), after);
+    assert.deepStrictEqual(next('30 9 * * 1-5'), new Date(2021, 5, 2, 9, 30));
+    assert.deepStrictEqual(next('30 9 * * 1-5', new Date(2021, 5, 4, 10, 0)), new Date(2021, 5, 7, 9, 30));
+    assert.deepStrictEqual(next('0 10 * * *'), new Date(2021, 5, 2, 10, 0));
+    assert.deepStrictEqual(next('0 12 13 * *'), new Date(2021, 5, 13, 12, 0));
+    assert.deepStrictEqual(next('0 12 * * 5'), new Date(2021, 5, 4, 12, 0));
+    // with both days restricted either one matches, as in cron
+    assert.deepStrictEqual(next('0 12 13 * 5', new Date(2021, 5, 4, 13, 0)), new Date(2021, 5, 11, 12, 0));
+    assert.deepStrictEqual(next('0 12 2 * 5'), new Date(2021, 5, 2, 12, 0));
+    assert.deepStrictEqual(next('0 0 29 2 *'), new Date(2024, 1, 29, 0, 0));
+    assert.strictEqual(next('0 0 31 2 *'), undefined);
+});
+
+test('missed jobs', () =>
+    withMock({}, async ({ sym, mock }) => {
+        const file = path.join(os.tmpdir(), `symetrix-schedule-${process.pid}.json`);
+        // hourly jobs created two and a half hours before the last hour have missed three runs
+        const lastHour = new Date();
+        lastHour.setMinutes(0, 0, 0);
+        const createdAt = new Date(lastHour.getTime() - 2.5 * 60 * 60 * 1000).toISOString();
+        const hourly = (name, set, missed) => ({
+            name,
+            cron: '0 * * * *',
+            action: { set, value: 1 },
+            missed,
+            createdAt,
+        });
+        const entries = [
+            hourly('skip', 1000, 'skip'),
+            hourly('last', 1001, 'last'),
+            hourly('all', 1002, 'all'),
+            hourly('default', 1003),
+            { name: 'once', at: createdAt, action: { preset: 2 }, createdAt },
+        ];
+        fs.writeFileSync(file, JSON.stringify({ version: 1, entries }));
+        const scheduler = new Scheduler(sym, { file, missed: 'last' });
+        const events = [];
+        ['done', 'skipped', 'failed'].forEach((event) =>
+            scheduler.on(event, ({ name }) => events.push(`${event} ${name}`))
+        );
+        const writes = [];
+        mock.on('command', (line) => writes.push(line));
+        try {
+            await scheduler.start();
+            assert.deepStrictEqual(events, [
+                ...Array(3).fill('skipped skip'),
+                ...Array(2).fill('skipped last'),
+                'done last',
+                ...Array(3).fill('done all'),
+                ...Array(2).fill('skipped default'),
+                'done default',
+                'done once',
+            ]);
+            assert.deepStrictEqual(writes, [
+                '$q CS 1001 1',
+                ...Array(3).fill('$q CS 1002 1'),
+                '$q CS 1003 1',
+                '$q LP 2',
+            ]);
+
+            // every entry is recorded as having run, so another start has nothing to catch up on
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            assert.deepStrictEqual(
+                saved.entries.map(({ name }) => name),
+                ['skip', 'last', 'all', 'default']
+            );
+            saved.entries.forEach(({ lastRun }) => assert.strictEqual(lastRun, lastHour.toISOString()));
+            scheduler.stop();
+            events.length = 0;
+            const again = new Scheduler(sym, { file, missed: 'all' });
+            again.on('skipped', () => events.push('skipped'));
+            again.on('done', () => events.push('done'));
+            await again.start();
+            again.stop();
+            assert.deepStrictEqual(events, []);
+
+            await assert.rejects(
+                scheduler.add({ name: 'loud', cron: '0 * * * *', action: { set: 1000, value: 20, unit: 'dB' } }),
+                /schedule entry loud invalid value 20 for control 1000/
+            );
+        } finally {
+            scheduler.stop();
+            fs.rmSync(file, { force: true });
+        }
+    })
+);
+
+function request(port, method, path, { body, headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, host: '127.0.0.1', method, path, headers }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                text += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        });
+        req.on('error', reject);
+        req.end(typeof body === 'string' ? body : body && JSON.stringify(body));
+    });
+}
+
+test('rest status codes', () =>
+    withMock({ timeout: 30 }, async ({ sym, mock }) => {
+        const bridge = new RestBridge(sym, { apiKey: 'secret' });
+        const port = await bridge.listen(0, '127.0.0.1');
+        const headers = { 'X-API-Key': 'secret' };
+        const status = async (method, path, body) => (await request(port, method, path, { body, headers })).status;
+        try {
+            assert.deepStrictEqual(await request(port, 'GET', '/controls/1000?unit=dB', { headers }), {
+                status: 200,
+                body: { id: 1000, value: -30, unit: 'dB' },
+            });
+            // only the top of the range is on, so a fader half way up reads as off
+            assert.deepStrictEqual(await request(port, 'GET', '/controls/1000?unit=on', { headers }), {
+                status: 200,
+                body: { id: 1000, value: false, unit: 'on' },
+            });
+            const body = { value: 'unmute', unit: 'on' };
+            assert.deepStrictEqual(await request(port, 'PUT', '/controls/1001', { body, headers }), {
+                status: 200,
+                body: { id: 1001, value: 'unmute', unit: 'on' },
+            });
+            assert.strictEqual(mock.getControl(1001), 0);
+
+            assert.deepStrictEqual(await request(port, 'GET', '/controls/1000'), {
+                status: 401,
+                body: { error: 'missing or wrong API key', type: 'Error' },
+            });
+            assert.strictEqual(await status('PUT', '/controls/1000', { value: 70000 }), 400);
+            assert.strictEqual(await status('PUT', '/controls/1000', '[1, 2]'), 400);
+            assert.strictEqual(await status('PUT', '/controls/1000', { value: 'loud', unit: 'on' }), 400);
+            assert.strictEqual(await status('GET', '/controls?from=1000&size=257'), 400);
+            assert.strictEqual(await status('GET', '/faders/1000'), 404);
+            assert.strictEqual(await status('DELETE', '/preset'), 405);
+            // the rest of a body that is too big is read and ignored so the client gets the answer
+            const big = await request(port, 'PUT', '/controls/1000', { body: 'x'.repeat(200 * 1024), headers });
+            assert.deepStrictEqual(big, { status: 413, body: { error: 'request body is too large', type: 'Error' } });
+
+            sym.policies.add({ name: 'locked', ids: [1002], readOnly: true });
+            assert.strictEqual(await status('PUT', '/controls/1002', { value: 1 }), 403);
+            mock.injectFault('nak');
+            assert.strictEqual(await status('POST', '/preset', { preset: 2 }), 422);
+            mock.injectFault('drop');
+            assert.deepStrictEqual(await request(port, 'GET', '/preset', { headers }), {
+                status: 504,
+                body: { error: 'No response from Symetrix within 30ms', type: 'TimeoutError' },
+            });
+            mock.dropClients();
+            await once(sym, 'closed');
+            assert.strictEqual(await status('POST', '/flash'), 503);
+        } finally {
+            await bridge.close();
+        }
+    })
+);
+
+test('push references', () =>
+    withMock(reconnecting, async ({ sym, mock }) => {
+        const nakNext = (command) => {
+            const nak = (line) => {
+                if (!line.startsWith(command)) return;
+                mock.removeListener('command', nak);
+                mock.injectFault('nak');
+            };
+            mock.on('command', nak);
+        };
+        const refs = () => Object.fromEntries(sym._pushRefs);
+
+        // a failed acquire holds nothing, including the part that was enabled before the failure
+        nakNext('$q PUE 1000');
+        await assert.rejects(sym.acquirePush([1000]), { name: 'NakError' });
+        nakNext('$q PUE 1005');
+        await assert.rejects(sym.acquirePush([1000, { low: 1005, high: 1006 }]), { name: 'NakError' });
+        assert.deepStrictEqual(refs(), {});
+        assert.deepStrictEqual(await sym.getPushEnabled(), []);
+        assert.deepStrictEqual(sym.pushSettings.ranges, []);
+
+        // the recorded ranges are merged and follow what is acquired and released
+        await sym.acquirePush([{ low: 1000, high: 1001 }]);
+        await sym.acquirePush([1002, 1001]);
+        for (let i = 0; i < 10; i++) {
+            await sym.acquirePush([1004]);
+            await sym.releasePush([1004]);
+        }
+        await sym.releasePush([1001]);
+        assert.deepStrictEqual(refs(), { 1000: 1, 1001: 1, 1002: 1 });
+        assert.deepStrictEqual(sym.pushSettings.ranges, [{ low: 1000, high: 1002 }]);
+        await sym.releasePush([1001]);
+        assert.deepStrictEqual(sym.pushSettings.ranges, [
+            { low: 1000, high: 1000 },
+            { low: 1002, high: 1002 },
+        ]);
+
+        // and only those are enabled again after a reconnect
+        const sent = [];
+        mock.on('command', (line) => line.startsWith('$q PU') && sent.push(line));
+        mock.dropClients();
+        await once(sym, 'connected');
+        assert.deepStrictEqual(await sym.getPushEnabled(), [1000, 1002]);
+        assert.deepStrictEqual(sent, ['$q PUE 1000 1000', '$q PUE 1002 1002']);
+
+        // a bridge client that leaves while its subscribe is acquiring gives back only what it acquired, so a
+        // control someone else holds keeps push
+        const bridge = new WebSocketBridge(sym);
+        const socket = new FrameSocket();
+        const headers = { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' };
+        bridge._upgrade({ url: '/', headers }, socket, Buffer.alloc(0));
+        const leave = (line) => {
+            if (!line.startsWith('$q PUE 1001')) return;
+            mock.removeListener('command', leave);
+            mock.injectFault('nak');
+            socket.emit('close');
+        };
+        mock.on('command', leave);
+        socket.emit('data', clientFrame(0x1, Buffer.from(JSON.stringify({ type: 'subscribe', ids: [1000, 1001] }))));
+        await until(() => !(1001 in refs()), 'the failed acquire');
+        assert.deepStrictEqual(await sym.getPushEnabled(), [1000, 1002]);
+        assert.deepStrictEqual(refs(), { 1000: 1, 1002: 1 });
+        await bridge.close();
+    })
+);
+
+// A stand in for an upgraded socket, keeping what the server writes
+class FrameSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.written = [];
+        this.destroyed = false;
+    }
+
+    setNoDelay() {}
+
+    write(data) {
+        this.written.push(data);
+    }
+
+    end() {}
+
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+// A client frame, which is always masked
+function clientFrame(opcode, payload, { fin = true, mask = [0x12, 0x34, 0x56, 0x78] } = {}) {
+    let header;
+    if (payload.length < 126) header = Buffer.from([0, 0x80 | payload.length]);
+    else if (payload.length < 65536) {
+        header = Buffer.from([0, 0x80 | 126, 0, 0]);
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) masked[i] ^= mask[i % 4];
+    return Buffer.concat([header, Buffer.from(mask), masked]);
+}
+
+test('websocket frames', async () => {
+    const socket = new FrameSocket();
+    const conn = new WebSocketConnection(socket);
+    const messages = [];
+    conn.on('message', (text) => messages.push(text));
+
+    // 7, 16 and 64 bit lengths, the last two split across chunks at awkward places
+    const texts = ['short', 'x'.repeat(300), 'y'.repeat(70000)];
+    const frames = texts.map((text) => clientFrame(0x1, Buffer.from(text)));
+    const stream = Buffer.concat(frames);
+    [1, 3, frames[0].length + 9, frames[0].length + frames[1].length + 5, stream.length].reduce((from, to) => {
+        conn._onData(stream.slice(from, to));
+        return to;
+    }, 0);
+    assert.deepStrictEqual(messages.splice(0), texts);
+
+    // a fragmented message with a ping in between, answered with a pong carrying the same payload
+    conn._onData(clientFrame(0x1, Buffer.from('{"type":'), { fin: false }));
+    conn._onData(clientFrame(0x9, Buffer.from('hi')));
+    conn._onData(clientFrame(0x0, Buffer.from('"get"}')));
+    assert.strictEqual(messages.pop(), '{"type":"get"}');
+    assert.deepStrictEqual(socket.written.pop(), Buffer.from([0x8a, 2, 0x68, 0x69]));
+
+    // server frames are unmasked, with the length in 7, 16 or 64 bits
+    const header = (text) => {
+        conn.send(text);
+        const frame = socket.written.pop();
+        assert.strictEqual(frame.slice(frame.length - text.length).toString(), text);
+        return [...frame.slice(0, frame.length - text.length)];
+    };
+    assert.deepStrictEqual(header('a'.repeat(125)), [0x81, 125]);
+    assert.deepStrictEqual(header('a'.repeat(126)), [0x81, 126, 0, 126]);
+    assert.deepStrictEqual(header('a'.repeat(65536)), [0x81, 127, 0, 0, 0, 0, 0, 1, 0, 0]);
+
+    // an unmasked client frame is a protocol error, closing with 1002
+    const unmasked = clientFrame(0x1, Buffer.from('no'));
+    unmasked[1] &= 0x7f;
+    conn._onData(Buffer.concat([unmasked.slice(0, 2), unmasked.slice(6)]));
+    assert.deepStrictEqual(socket.written.pop(), Buffer.from([0x88, 2, 0x03, 0xea]));
+    assert.strictEqual(messages.length, 0);
+
+    // as is a message over 1MB, which closes with 1009
+    const big = new WebSocketConnection(new FrameSocket());
+    const tooBig = Buffer.from([0x81, 0x80 | 127, 0, 0, 0, 0, 0, 0x10, 0, 1]);
+    big._onData(tooBig);
+    assert.deepStrictEqual(big.socket.written.pop(), Buffer.from([0x88, 2, 0x03, 0xf1]));
+});
+
+test('osc round trips', () =>
+    withMock({}, async ({ sym, mock }) => {
+        const args = [{ type: 'i', value: -5 }, 0.5, 'fader', true, false, { type: 'd', value: 0.1 }];
+        const packet = encodeMessage('/zone/1', args);
+        assert.strictEqual(packet.length % 4, 0);
+        assert.deepStrictEqual(decodePacket(packet), [
+            { address: '/zone/1', args: [-5, 0.5, 'fader', true, false, 0.1] },
+        ]);
+        // a string that fills its 4 bytes still gets a terminating null
+        assert.deepStrictEqual(decodePacket(encodeMessage('/abc', ['four'])), [{ address: '/abc', args: ['four'] }]);
+
+        // a bundle is an 8 byte header, an 8 byte time tag and size prefixed elements, flattened on decoding
+        const element = (message) => {
+            const size = Buffer.alloc(4);
+            size.writeInt32BE(message.length);
+            return Buffer.concat([size, message]);
+        };
+        const bundle = (...messages) =>
+            Buffer.concat([Buffer.from('#bundle\0'), Buffer.alloc(8), ...messages.map(element)]);
+        const inner = bundle(encodeMessage('/symetrix/control/1001', [0]));
+        const outer = bundle(encodeMessage('/symetrix/control/1000/db', [-10]), inner);
+        assert.deepStrictEqual(decodePacket(outer), [
+            { address: '/symetrix/control/1000/db', args: [-10] },
+            { address: '/symetrix/control/1001', args: [0] },
+        ]);
+        assert.throws(() => decodePacket(outer.slice(0, outer.length - 4)), /truncated/);
+
+        const bridge = new OscBridge(sym);
+        try {
+            await bridge.handle(outer);
+            assert.strictEqual(mock.getControl(1000), conversions.dBToAPI(-10));
+            assert.strictEqual(mock.getControl(1001), 0);
+            // pushes to an on address are on only at the top of the range
+            assert.deepStrictEqual(
+                [32768, 65535, 0].map((value) => bridge._fromAPI(value, 'on')),
+                [false, true, false]
+            );
+        } finally {
+            await bridge.close();
+        }
+    })
+);
+
+test('cli values', () => {
+    const dB = { unit: 'dB' };
+    assert.strictEqual(parseValue('-10dB', {}), conversions.dBToAPI(-10));
+    assert.strictEqual(parseValue('-10 db', {}), parseValue('-10', dB));
+    assert.strictEqual(parseValue('-10dB', { min: -40, max: 0 }), conversions.dBToAPI(-10, { min: -40, max: 0 }));
+    assert.strictEqual(parseValue('50%', {}), 32768);
+    assert.strictEqual(parseValue('50', { unit: 'pct' }), 32768);
+    assert.strictEqual(parseValue('on', {}), 65535);
+    assert.strictEqual(parseValue('off', dB), 0);
+    assert.strictEqual(parseValue('1234', {}), 1234);
+    // changes take the same suffixes, and can be negative
+    assert.strictEqual(parseValue('6dB', {}, true), conversions.dBToAPI(6, { relative: true }));
+    assert.strictEqual(parseValue('-6dB', {}, true), -conversions.dBToAPI(6, { relative: true }));
+    assert.strictEqual(parseValue('-100', {}, true), -100);
+
+    assert.throws(() => parseValue('on', {}, true), /invalid value on/);
+    assert.throws(() => parseValue('loud', {}), /invalid value loud/);
+    assert.throws(() => parseValue('20dB', {}), /value 20dB is out of range/);
+    assert.throws(() => parseValue('101%', {}), /out of range/);
+    assert.throws(() => parseValue('1.5', {}), /out of range/);
+    assert.throws(() => parseValue('70000', {}), /out of range/);
+});
+
+test('cli reboot guard', async () => {
+    const mock = new MockSymetrix({ port: 0, udp: false });
+    const port = String(await mock.listen());
+    const rebooted = [];
+    mock.on('reboot', () => rebooted.push(true));
+    const { log, error } = console;
+    const { isTTY } = process.stdin;
+    const printed = [];
+    console.log = console.error = (text) => printed.push(text);
+    try {
+        // without a terminal to ask on, a reboot only goes ahead with --yes
+        process.stdin.isTTY = false;
+        assert.strictEqual(await main(['--host', '127.0.0.1', '--port', port, 'reboot']), 1);
+        assert.deepStrictEqual(printed.splice(0), ['reboot needs --yes when not interactive']);
+        assert.deepStrictEqual(rebooted, []);
+        assert.strictEqual(await main(['--host', '127.0.0.1', '--port', port, '--json', '-y', 'reboot']), 0);
+        assert.deepStrictEqual(printed.splice(0), [JSON.stringify({ rebooted: true }, null, 2)]);
+        assert.deepStrictEqual(rebooted, [true]);
+    } finally {
+        console.log = log;
+        console.error = error;
+        process.stdin.isTTY = isTTY;
+        await mock.close();
+    }
+});
+
+test('cli push range', async () => {
+    const mock = new MockSymetrix({ port: 0, udp: false });
+    const port = String(await mock.listen());
+    const sent = [];
+    mock.on('command', (line) => line.startsWith('$q PU') && sent.push(line));
+    const { log } = console;
+    const printed = [];
+    console.log = (text) => printed.push(JSON.parse(text));
+    try {
+        // all controls without a range, and one control with only low
+        const push = (...args) => main(['--host', '127.0.0.1', '--port', port, '--json', 'push', ...args]);
+        assert.strictEqual(await push('enable'), 0);
+        assert.strictEqual(await push('disable', '1000'), 0);
+        assert.strictEqual(await push('enable', '1000', '1010'), 0);
+        assert.deepStrictEqual(sent, ['$q PUE 1 10000', '$q PUD 1000 1000', '$q PUE 1000 1010']);
+        assert.deepStrictEqual(printed, [
+            { low: 1, high: 10000, push: true },
+            { low: 1000, high: 1000, push: false },
+            { low: 1000, high: 1010, push: true },
+        ]);
+    } finally {
+        console.log = log;
+        await mock.close();
+    }
+});
+
+test('heartbeat status', () =>
+    withMock(
+        { ...reconnecting, heartbeat: { intervalMs: 20, timeoutMs: 20, deadAfter: 3, degradedTimeoutRate: 0.5 } },
+        async ({ sym, mock }) => {
+            let dropping = true;
+            mock.on('command', (line) => dropping && line.startsWith('$q NOP') && mock.injectFault('drop'));
+            const statuses = ['ok'];
+            sym.on('health', ({ status }) => status !== statuses[statuses.length - 1] && statuses.push(status));
+            const { error } = console;
+            console.error = () => {};
+            try {
+                // one unanswered heartbeat puts the timeout rate over its limit and three in a row kill the link,
+                // which reconnects
+                await once(sym, 'disconnected');
+                dropping = false;
+                await once(sym, 'connected');
+            } finally {
+                console.error = error;
+            }
+            assert.deepStrictEqual(statuses, ['ok', 'degraded', 'dead', 'degraded']);
+            assert.strictEqual(sym.stats().consecutiveTimeouts, 0);
+
+            // answered heartbeats bring the rate back down: 3 timeouts in 6 is not over half
+            await until(() => sym.stats().status === 'ok', 'the link to be ok again');
+            assert.deepStrictEqual(statuses, ['ok', 'degraded', 'dead', 'degraded', 'ok']);
+            const { types, timeoutRate } = sym.stats();
+            assert.deepStrictEqual([types.noOp.sent, types.noOp.timeouts, timeoutRate], [6, 3, 0.5]);
+        }
+    )
+);
+
+test('poller', () =>
+    withMock(reconnecting, async ({ sym, mock }) => {
+        const reads = [];
+        mock.on('command', (line) => line.startsWith('$q GSB') && reads.push(line));
+        const pushes = [];
+        sym.on('push', (values) => pushes.push(values));
+        const pushed = (id, value) => pushes.some((values) => values.some((v) => v.id === id && v.value === value));
+
+        // with push turned off for the port the range falls back to polling
+        const refusePush = (line) => line.startsWith('$q PUE') && mock.injectFault('nak');
+        mock.on('command', refusePush);
+        const range = { low: 1000, high: 1002 };
+        assert.deepStrictEqual(await sym.poller.add({ ...range, intervalMs: 20, minIntervalMs: 20 }), {
+            ...range,
+            mode: 'auto',
+            polling: true,
+            intervalMs: 20,
+        });
+
+        // reads that find nothing new emit nothing, and one that does emits only what changed
+        await until(() => reads.length >= 3, 'three reads');
+        assert.deepStrictEqual(pushes, []);
+        assert.ok(sym.poller.list()[0].intervalMs > 20);
+        const changes = [];
+        sym.on('change', ({ id, value, source }) => changes.push({ id, value, source }));
+        mock.setControl(1001, 100);
+        await until(() => pushes.length > 0, 'a polled change');
+        assert.deepStrictEqual(pushes, [[{ id: 1001, value: 100 }]]);
+        // the cache has it from the read, not from the push
+        assert.deepStrictEqual(changes, [{ id: 1001, value: 100, source: 'poll' }]);
+
+        // once push is accepted on a reconnect, the device's pushes take over and reading stops
+        mock.removeListener('command', refusePush);
+        mock.dropClients();
+        await once(sym, 'connected');
+        await until(() => !sym.poller.list()[0].polling, 'push to take over');
+        const polled = reads.length;
+        mock.setControl(1000, 5);
+        await until(() => pushed(1000, 5), 'a pushed change');
+        await delay(100);
+        assert.strictEqual(reads.length, polled);
+    })
+);
+
+test('policies', () =>
+    withMock({}, async ({ sym, mock }) => {
+        const violations = [];
+        sym.policies.on('violation', (violation) => violations.push(violation));
+        const sets = [];
+        mock.on('command', (line) => /^\$q (CS|CC|LP) /.test(line) && sets.push(line));
+        const refused = (rule, message) => ({ name: 'PolicyError', rule, message: `Symetrix policy ${message}` });
+
+        // reject mode refuses the write, in api units
+        sym.policies.add({ name: 'limits', ids: [1000], min: 1000, max: 60000 });
+        await assert.rejects(
+            sym.controlSet(1000, 500),
+            refused('min', 'limits: control 1000 value 500 is below the min of 1000')
+        );
+        await assert.rejects(sym.controlSet(1000, 61000), {
+            ...refused('max', 'limits: control 1000 value 61000 is above the max of 60000'),
+            policy: 'limits',
+            id: 1000,
+            command: '$q CS 1000 61000',
+        });
+        await sym.controlSet(1000, 50000);
+        // a change is checked by where it would leave the control
+        await assert.rejects(
+            sym.controlChange(1000, 20000),
+            refused('max', 'limits: control 1000 value 65535 is above the max of 60000')
+        );
+        sym.policies.add({ name: 'limits', ids: [1000], maxStep: 5000 });
+        await assert.rejects(
+            sym.controlSet(1000, 40000),
+            refused('maxStep', 'limits: control 1000 step of -10000 is more than the max step of 5000')
+        );
+        await assert.rejects(
+            sym.controlChange(1000, -6000),
+            refused('maxStep', 'limits: control 1000 step of -6000 is more than the max step of 5000')
+        );
+        await sym.controlChange(1000, -5000);
+        assert.strictEqual(mock.getControl(1000), 45000);
+        assert.deepStrictEqual(sets, ['$q CS 1000 50000', '$q CC 1000 0 5000']);
+        assert.deepStrictEqual(violations.splice(0), [
+            { policy: 'limits', rule: 'min', id: 1000, value: 500, limit: 1000, action: 'rejected' },
+            { policy: 'limits', rule: 'max', id: 1000, value: 61000, limit: 60000, action: 'rejected' },
+            { policy: 'limits', rule: 'max', id: 1000, value: 65535, limit: 60000, action: 'rejected' },
+            { policy: 'limits', rule: 'maxStep', id: 1000, value: -10000, limit: 5000, action: 'rejected' },
+            { policy: 'limits', rule: 'maxStep', id: 1000, value: -6000, limit: 5000, action: 'rejected' },
+        ]);
+
+        // clamp mode brings the write within the limits instead, the step first
+        sym.policies.add({ name: 'limits', ids: [1000], min: 1000, max: 60000, maxStep: 5000, mode: 'clamp' });
+        await sym.controlSet(1000, 65535);
+        assert.strictEqual(mock.getControl(1000), 50000);
+        await sym.controlChange(1000, -60000);
+        assert.strictEqual(mock.getControl(1000), 45000);
+        assert.deepStrictEqual(violations.splice(0), [
+            { policy: 'limits', rule: 'maxStep', id: 1000, value: 20535, limit: 5000, action: 'clamped' },
+            { policy: 'limits', rule: 'maxStep', id: 1000, value: -60000, limit: 5000, action: 'clamped' },
+        ]);
+
+        // in dB over the fader range, with values and limits reported in dB
+        const zone = { name: 'zone', ids: [{ low: 1001, high: 1003 }], unit: 'dB', min: -60, max: -6 };
+        sym.policies.add(zone);
+        await assert.rejects(
+            sym.controlSet(1001, conversions.dBToAPI(-3)),
+            refused('max', 'zone: control 1001 value -3 dB is above the max of -6 dB')
+        );
+        sym.policies.add({ ...zone, maxStep: 6, mode: 'clamp' });
+        sets.length = 0;
+        await sym.controlSet(1001, conversions.dBToAPI(-10));
+        assert.deepStrictEqual(sets, [`$q CS 1001 ${conversions.dBToAPI(-6)}`]);
+        await sym.controlSet(1002, conversions.dBToAPI(-70));
+        assert.strictEqual(mock.getControl(1002), conversions.dBToAPI(-60));
+        assert.deepStrictEqual(violations.splice(0), [
+            { policy: 'zone', rule: 'max', id: 1001, value: -3, limit: -6, action: 'rejected' },
+            { policy: 'zone', rule: 'maxStep', id: 1001, value: -22, limit: 6, action: 'clamped' },
+            { policy: 'zone', rule: 'max', id: 1001, value: 6, limit: -6, action: 'clamped' },
+            { policy: 'zone', rule: 'min', id: 1002, value: -70, limit: -60, action: 'clamped' },
+        ]);
+
+        // read only is refused whatever the mode, without reading or sending anything
+        sym.policies.add({ name: 'locked', ids: [1003], readOnly: true, mode: 'clamp' });
+        sets.length = 0;
+        await assert.rejects(sym.controlSet(1003, 1), refused('readOnly', 'locked: control 1003 is read only'));
+        await assert.rejects(sym.controlChange(1003, -1), refused('readOnly', 'locked: control 1003 is read only'));
+        assert.deepStrictEqual(sets, []);
+        assert.deepStrictEqual(violations.splice(0), [
+            { policy: 'locked', rule: 'readOnly', id: 1003, value: 1, action: 'rejected' },
+            { policy: 'locked', rule: 'readOnly', id: 1003, value: -1, action: 'rejected' },
+        ]);
+
+        // a preset that needs confirmation loads with confirmed, or once policies.confirm agrees
+        sym.policies.add({ name: 'show', presets: [{ low: 10, high: 19 }], confirm: true });
+        await assert.rejects(sym.loadPreset(12), {
+            ...refused('confirm', 'show: preset 12 needs confirmation'),
+            command: '$q LP 12',
+        });
+        await sym.loadPreset(12, { confirmed: true });
+        const asked = [];
+        sym.policies.confirm = async (question) => {
+            asked.push(question);
+            return question.preset !== 13;
+        };
+        await assert.rejects(sym.loadPreset(13), refused('confirm', 'show: preset 13 needs confirmation'));
+        await sym.loadPreset(14);
+        await sym.loadPreset(3);
+        assert.strictEqual(mock.preset, 3);
+        assert.deepStrictEqual(asked, [
+            { policy: 'show', preset: 13 },
+            { policy: 'show', preset: 14 },
+        ]);
+        assert.deepStrictEqual(sets, ['$q LP 12', '$q LP 14', '$q LP 3']);
+        assert.deepStrictEqual(violations.splice(0), [
+            { policy: 'show', rule: 'confirm', preset: 12, action: 'rejected' },
+            { policy: 'show', rule: 'confirm', preset: 13, action: 'rejected' },
+        ]);
+    })
+);
+
+test('journal', () =>
+    withMock({ journal: { windowMs: 100 } }, async ({ sym, mock }) => {
+        const { journal } = sym;
+        const groups = [];
+        journal.on('record', ({ group }) => groups.push(group));
+        const sent = [];
+        mock.on('command', (line) => /^\$q (CS|CC) /.test(line) && sent.push(line.slice(3)));
+
+        // writes close together join a group, and everything in a transaction is one group however long it takes
+        await sym.controlSet(1000, 100);
+        await sym.controlSet(1000, 200);
+        await delay(150);
+        await sym.controlSet(1001, 0);
+        await journal.transaction(async () => {
+            await sym.controlSet(1000, 300);
+            await delay(150);
+            await sym.controlChange(1001, 500);
+        }, 'scene');
+        // and nothing joins a transaction's group once it is over
+        await sym.controlSet(1000, 400);
+        assert.deepStrictEqual(groups, [1, 1, 2, 3, 3, 4]);
+
+        // undo goes back a group at a time, each group's changes in reverse
+        sent.length = 0;
+        assert.strictEqual((await journal.undo()).id, 4);
+        assert.strictEqual((await journal.undo()).id, 3);
+        assert.strictEqual((await journal.undo()).id, 2);
+        assert.deepStrictEqual(sent.splice(0), ['CS 1000 300', 'CS 1001 0', 'CS 1000 200', 'CS 1001 65535']);
+        assert.strictEqual((await journal.redo()).id, 2);
+        assert.strictEqual((await journal.redo()).id, 3);
+        assert.deepStrictEqual(sent.splice(0), ['CS 1001 0', 'CS 1000 300', 'CS 1001 500']);
+        assert.deepStrictEqual([mock.getControl(1000), mock.getControl(1001)], [300, 500]);
+
+        // a failed undo leaves its group to be undone again
+        mock.injectFault('nak');
+        await assert.rejects(journal.undo(), { name: 'NakError' });
+        assert.ok(journal.canUndo);
+        assert.strictEqual((await journal.undo()).id, 3);
+        assert.deepStrictEqual([mock.getControl(1000), mock.getControl(1001)], [200, 0]);
+        assert.ok(journal.canRedo);
+
+        // a new write discards what could have been redone
+        await delay(150);
+        await sym.controlSet(1000, 1);
+        assert.ok(!journal.canRedo);
+        assert.strictEqual(await journal.redo(), undefined);
+
+        const exported = journal.export();
+        assert.strictEqual(exported.host, '127.0.0.1');
+        assert.deepStrictEqual(
+            exported.groups.map(({ id, label, state, changes }) => [id, label, state, changes.length]),
+            [
+                [1, undefined, 'done', 2],
+                [2, undefined, 'done', 1],
+                [3, 'scene', 'discarded', 2],
+                [4, undefined, 'discarded', 1],
+                [5, undefined, 'done', 1],
+            ]
+        );
+        const fields = ({ type, id, value, previous, after }) => ({ type, id, value, previous, after });
+        assert.deepStrictEqual(exported.groups[0].changes.map(fields), [
+            { type: 'set', id: 1000, value: 100, previous: 32768, after: 100 },
+            { type: 'set', id: 1000, value: 200, previous: 100, after: 200 },
+        ]);
+        assert.deepStrictEqual(fields(exported.groups[2].changes[1]), {
+            type: 'change',
+            id: 1001,
+            value: 500,
+            previous: 0,
+            after: 500,
+        });
+        const { at } = exported.groups[0].changes[0];
+        assert.strictEqual(new Date(at).toISOString(), at);
+
+        // writes queued together each replace what the one before them leaves behind, and a write replaced by a
+        // later one before it was sent is not recorded
+        const recorded = [];
+        journal.on('record', ({ change }) => recorded.push(fields(change)));
+        sent.length = 0;
+        await Promise.all([
+            sym.controlSet(1001, 10),
+            sym.controlSet(1001, 20),
+            sym.controlSet(1001, 30),
+            sym.controlChange(1001, 5),
+        ]);
+        assert.deepStrictEqual(sent.splice(0), ['CS 1001 10', 'CS 1001 30', 'CC 1001 1 5']);
+        assert.deepStrictEqual(recorded.splice(0), [
+            { type: 'set', id: 1001, value: 10, previous: 0, after: 10 },
+            { type: 'set', id: 1001, value: 30, previous: 10, after: 30 },
+            { type: 'change', id: 1001, value: 5, previous: 30, after: 35 },
+        ]);
+        assert.strictEqual(sym.getCached(1001), 35);
+
+        // a write belongs to the transaction it was made in even when its policy check finishes after that
+        sym.policies.add({ name: 'show', presets: [{ low: 7, high: 7 }], confirm: true });
+        sym.policies.confirm = () => delay(20).then(() => true);
+        let load;
+        await journal.transaction(async () => {
+            load = sym.loadPreset(7);
+        }, 'recall');
+        await load;
+        const last = journal.export().groups.pop();
+        assert.deepStrictEqual([last.label, last.changes[0].type, last.changes[0].after], ['recall', 'preset', 7]);
+    })
+);
+
+async function run() {
+    framing();
+    await replaying();
+
+    for (const { name, fn } of tests) {
+        await fn();
+        console.log(`${name}: ok`);
+    }
+
+    // a real device only gets a read, so nothing on it is changed
+    if (host) {
+        const sym = new Symetrix({ host, retryTimeout: 0 });
+        await once(sym, 'connected');
+        try {
+            console.log(`${host} control 1000:`, await sym.controlGet(1000));
+        } finally {
+            sym.destructor();
+        }
+    }
+}
 
-    this.sym
-        .pushState(true)
-        .then((data) => {
-            console.log('push state:', data);
-        })
-        .catch((err) => console.log(err));
-
-    this.sym
-        .controlGet(1000)
-        .then((data) => {
-            console.log('get:', data);
-        })
-        .catch((err) => console.log(err));
-
-    this.sym
-        .pushRefresh()
-        .then((data) => {
-            console.log('refresh push:', data);
-        })
-        .catch((err) => console.log(err));
-
-    this.sym
-        .controlGetBlock(1000, 10)
-        .then((data) => {
-            console.log('get block:', data);
-        })
-        .catch((err) => console.log(err));
-
-    this.sym
-        .flashUnit()
-        .then((data) => {
-            console.log('flash:', data);
-        })
-        .catch((err) => console.log(err));
+run().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
 });
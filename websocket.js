@@ -0,0 +1,395 @@
+const EventEmitter = require('events');
+const http = require('http');
+const crypto = require('crypto');
+
+const { units, validation, ranges } = require('./helpers');
+const { statusFor, requestError, sameKey } = require('./rest');
+
+const websocketGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const maxMessageBytes = 1024 * 1024;
+
+const opcodes = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+/**
+ * @param {string} key - the Sec-WebSocket-Key request header
+ * @return {string} the Sec-WebSocket-Accept response header for it
+ */
+function acceptKey(key) {
+    return crypto
+        .createHash('sha1')
+        .update(key + websocketGuid)
+        .digest('base64');
+}
+
+/**
+ * The server end of one WebSocket connection (RFC 6455), exchanging text messages.
+ * Emits `message` with the text of each complete message and `close` once the connection has ended.
+ */
+class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {net.Socket} socket - the socket, already upgraded
+     * @param {Buffer} [head] - any data received after the upgrade request
+     */
+    constructor(socket, head) {
+        super();
+        this.socket = socket;
+        this._buffer = Buffer.alloc(0);
+        this._fragments = [];
+        this._closed = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', (data) => this._onData(data));
+        socket.on('error', () => socket.destroy());
+        // upgraded sockets allow half open connections, which a client going away must not leave behind
+        socket.on('end', () => socket.end());
+        socket.on('close', () => {
+            this._closed = true;
+            this.emit('close');
+        });
+        if (head && head.length > 0) this._onData(head);
+    }
+
+    /**
+     * @param {string} text - the message to send
+     */
+    send(text) {
+        this._write(opcodes.text, Buffer.from(text));
+    }
+
+    /**
+     * Starts the closing handshake
+     * @param {number} [code] - the close status code, defaults to 1000 (normal)
+     */
+    close(code = 1000) {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this._write(opcodes.close, payload);
+        this.socket.end();
+    }
+
+    _write(opcode, payload) {
+        if (this._closed || this.socket.destroyed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    _onData(data) {
+        this._buffer = Buffer.concat([this._buffer, data]);
+        for (;;) {
+            const frame = this._readFrame();
+            if (!frame) return;
+            this._onFrame(frame);
+            if (this._closed) return;
+        }
+    }
+
+    // takes one complete frame off the front of the buffer, if there is one
+    _readFrame() {
+        const buf = this._buffer;
+        if (buf.length < 2) return undefined;
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buf.length < 4) return undefined;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) return undefined;
+            length = Number(buf.readBigUInt64BE(2));
+            offset = 10;
+        }
+        // clients must mask every frame, and nothing this bridge accepts is anywhere near this big
+        if (!masked || length > maxMessageBytes) {
+            this._fail(!masked ? 1002 : 1009);
+            return undefined;
+        }
+        if (buf.length < offset + 4 + length) return undefined;
+        const mask = buf.slice(offset, offset + 4);
+        const payload = Buffer.from(buf.slice(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        this._buffer = buf.slice(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    _onFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case opcodes.ping:
+                this._write(opcodes.pong, payload);
+                return;
+            case opcodes.pong:
+                return;
+            case opcodes.close:
+                this._write(opcodes.close, payload.slice(0, 2));
+                this._closed = true;
+                this.socket.end();
+                return;
+            case opcodes.binary:
+                this._fail(1003);
+                return;
+            case opcodes.text:
+            case opcodes.continuation: {
+                this._fragments.push(payload);
+                const size = this._fragments.reduce((total, f) => total + f.length, 0);
+                if (size > maxMessageBytes) return this._fail(1009);
+                if (!fin) return;
+                const text = Buffer.concat(this._fragments).toString('utf8');
+                this._fragments = [];
+                this.emit('message', text);
+                return;
+            }
+            default:
+                this._fail(1002);
+        }
+    }
+
+    _fail(code) {
+        this.close(code);
+        this._closed = true;
+        this._buffer = Buffer.alloc(0);
+    }
+}
+
+/**
+ * Streams pushed control values to WebSocket clients such as browser UIs, and takes set, change and get
+ * requests from them. Messages are JSON objects in both directions.
+ *
+ * From the client, each optionally with a `ref` that is returned in the reply:
+ * - `{ type: 'subscribe', ids }` where ids are control IDs and/or `{ low, high }` ranges. The reply holds the
+ *   current `values` of the controls, and from then on their pushes are forwarded
+ * - `{ type: 'unsubscribe', ids }`
+ * - `{ type: 'set', id, value, unit }`, `{ type: 'change', id, by, unit }` and `{ type: 'get', id, unit }`, with
+ *   the units of the HTTP bridge
+ *
+ * To the client:
+ * - `{ type: 'reply', ref, ok: true, ... }` or `{ type: 'reply', ref, ok: false, error, status }` where status is
+ *   the HTTP status the HTTP bridge would have answered with
+ * - `{ type: 'push', values: [{ id, value }] }` with the pushed API values of subscribed controls, at most
+ *   once per push interval
+ *
+ * Push is only enabled on the device for controls that at least one client has subscribed to.
+ */
+class WebSocketBridge {
+    /**
+     * @param {Symetrix} sym - the instance to send through
+     * @param {object} [options]
+     * @param {string} [options.path] - the path clients connect to, defaults to any
+     * @param {string} [options.apiKey] - if set, clients must send it as `?key=` or `Authorization: Bearer`
+     * @param {number} [options.batchMs] - how often pushes are forwarded, defaults to the device's push interval
+     */
+    constructor(sym, { path, apiKey, batchMs } = {}) {
+        this.sym = sym;
+        this.path = path;
+        this.apiKey = apiKey;
+        this.batchMs = batchMs;
+        this.server = undefined;
+        this._clients = new Set();
+        this._onPush = (values) => this._clients.forEach((client) => this._queuePush(client, values));
+        sym.on('push', this._onPush);
+    }
+
+    /**
+     * Starts an HTTP server that only accepts WebSocket connections
+     * @param {number} [port] - the port to listen on, defaults to any free port
+     * @param {string} [host] - the address to listen on, defaults to all
+     * @return {Promise} resolves with the port once the server is listening
+     */
+    listen(port = 0, host) {
+        this.server = http.createServer((req, res) => {
+            res.writeHead(426, { Upgrade: 'websocket' });
+            res.end();
+        });
+        this.attach(this.server);
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    /**
+     * Accepts WebSocket connections on an existing HTTP server, e.g. the one a RestBridge is listening on
+     * @param {http.Server} server - the server
+     */
+    attach(server) {
+        server.on('upgrade', (req, socket, head) => this._upgrade(req, socket, head));
+    }
+
+    /**
+     * Disconnects every client and stops the server, if listen() started one
+     * @return {Promise} resolves once the server has stopped
+     */
+    close() {
+        this.sym.removeListener('push', this._onPush);
+        this._clients.forEach((client) => client.conn.close(1001));
+        if (!this.server) return Promise.resolve();
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    _upgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        const refuse = (status) => {
+            socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+        };
+        if (this.path && url.pathname !== this.path) return refuse(404);
+        const key = req.headers['sec-websocket-key'];
+        if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') return refuse(400);
+        if (this.apiKey && !this._authorized(req, url)) return refuse(401);
+
+        socket.write(
+            'HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+                `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`
+        );
+        const client = {
+            conn: new WebSocketConnection(socket, head),
+            ids: new Set(),
+            pending: new Map(),
+            acquiring: Promise.resolve(), // settles once every subscribe so far has acquired its controls or failed
+        };
+        this._clients.add(client);
+        client.conn.on('message', (text) => this._onMessage(client, text));
+        client.conn.on('close', () => this._disconnect(client));
+    }
+
+    _authorized(req, url) {
+        const header = req.headers.authorization || '';
+        const given = url.searchParams.get('key') || (header.startsWith('Bearer ') ? header.slice(7) : undefined);
+        return Boolean(given) && sameKey(given, this.apiKey);
+    }
+
+    async _disconnect(client) {
+        if (!this._clients.delete(client)) return;
+        clearTimeout(client.timer);
+        // a subscribe that fails to acquire gives its controls back itself, so only what it holds is released here
+        await client.acquiring;
+        if (client.ids.size === 0) return;
+        await this.sym.releasePush([...client.ids]).catch((err) => {
+            console.error('Symetrix WebSocket bridge could not disable push:', err.message);
+        });
+    }
+
+    _queuePush(client, values) {
+        values.forEach(({ id, value }) => {
+            if (client.ids.has(id)) client.pending.set(id, value);
+        });
+        if (client.pending.size === 0 || client.timer) return;
+        const interval = this.batchMs || this.sym.pushSettings.interval || 100;
+        client.timer = setTimeout(() => {
+            client.timer = undefined;
+            const pending = [...client.pending].map(([id, value]) => ({ id, value }));
+            client.pending.clear();
+            client.conn.send(JSON.stringify({ type: 'push', values: pending }));
+        }, interval);
+    }
+
+    async _onMessage(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (err) {
+            message = undefined;
+        }
+        const ref = message && message.ref;
+        const reply = (body) => client.conn.send(JSON.stringify({ type: 'reply', ref, ...body }));
+        try {
+            if (!message || typeof message !== 'object') throw requestError(400, 'message must be a JSON object');
+            const result = await this._handle(client, message);
+            reply({ ok: true, ...result });
+        } catch (err) {
+            reply({ ok: false, error: err.message, status: statusFor(err) });
+        }
+    }
+
+    _ids(ids) {
+        if (!Array.isArray(ids) || ids.length === 0) throw requestError(400, 'ids must be a list of IDs or ranges');
+        ids.forEach((item) => {
+            const { low, high } = typeof item === 'number' ? { low: item, high: item } : item || {};
+            if (!Number.isInteger(low) || !Number.isInteger(high) || low < 1 || high > 10000 || low > high)
+                throw requestError(400, `invalid ids ${JSON.stringify(item)}`);
+        });
+        return ranges.toRanges(ids);
+    }
+
+    _control(message) {
+        const { id, unit = 'api' } = message;
+        if (!Number.isInteger(id) || id < 1 || !validation.validControlId(id))
+            throw requestError(400, `invalid control id ${id}`);
+        if (!units.names.includes(unit)) throw requestError(400, `invalid unit ${unit}`);
+        const definition = this.sym.controlMap && this.sym.controlMap.get(id);
+        const range = {};
+        ['min', 'max'].forEach((key) => {
+            if (typeof message[key] === 'number') range[key] = message[key];
+            else if (definition && typeof definition[key] === 'number') range[key] = definition[key];
+        });
+        return { id, unit, range };
+    }
+
+    async _handle(client, message) {
+        switch (message.type) {
+            case 'subscribe': {
+                const idRanges = this._ids(message.ids);
+                // a client holds each control once however often it subscribes to it
+                const added = ranges.expandRanges(idRanges).filter((id) => !client.ids.has(id));
+                added.forEach((id) => client.ids.add(id));
+                if (added.length > 0) {
+                    const acquired = this.sym.acquirePush(added).catch((err) => {
+                        added.forEach((id) => client.ids.delete(id));
+                        throw err;
+                    });
+                    client.acquiring = Promise.all([client.acquiring, acquired.catch(() => {})]);
+                    await acquired;
+                }
+                const values = [];
+                for (const { low, high } of idRanges) values.push(...(await this.sym.controlGetRange({ low, high })));
+                return { values };
+            }
+            case 'unsubscribe': {
+                await client.acquiring;
+                const ids = ranges.expandRanges(this._ids(message.ids)).filter((id) => client.ids.has(id));
+                ids.forEach((id) => client.ids.delete(id));
+                if (ids.length > 0) await this.sym.releasePush(ids);
+                return {};
+            }
+            case 'set': {
+                const { id, unit, range } = this._control(message);
+                const value = units.toAPI(message.value, unit, range);
+                if (value === undefined) throw requestError(400, `invalid value ${JSON.stringify(message.value)}`);
+                await this.sym.controlSet(id, value);
+                return { id, value: message.value, unit };
+            }
+            case 'change': {
+                const { id, unit, range } = this._control(message);
+                const by = units.deltaToAPI(message.by, unit, range);
+                if (by === undefined) throw requestError(400, `invalid change ${JSON.stringify(message.by)}`);
+                await this.sym.controlChange(id, by);
+                return { id, by: message.by, unit };
+            }
+            case 'get': {
+                const { id, unit, range } = this._control(message);
+                const value = Number(await this.sym.controlGet(id));
+                return { id, value: units.fromAPI(value, unit, range), unit };
+            }
+            default:
+                throw requestError(400, `unknown message type ${message.type}`);
+        }
+    }
+}
+
+module.exports = { WebSocketBridge, WebSocketConnection, acceptKey };